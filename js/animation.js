@@ -1,63 +1,961 @@
 /**
- * 3D Animated Sphere - Bittensor-inspired visualization
+ * 3D Animations - site-wide scenes
  * Uses Three.js for WebGL rendering
  */
 
-class AnimatedSphere {
+/**
+ * Motion Preference - page-wide "animation paused" state
+ * Follows prefers-reduced-motion (live) until the visitor uses a pause
+ * toggle; that choice is remembered. Scenes listen for 'motionchange'.
+ */
+class MotionPreference {
+  static isPaused() {
+    const choice = MotionPreference.storedChoice();
+    if (choice) return choice === 'paused';
+    return !!MotionPreference.query && MotionPreference.query.matches;
+  }
+
+  static setPaused(paused) {
+    try {
+      localStorage.setItem(MotionPreference.storageKey, paused ? 'paused' : 'playing');
+    } catch (error) {
+      // Storage can be disabled; the choice then lasts for this page only
+      MotionPreference.choice = paused ? 'paused' : 'playing';
+    }
+    MotionPreference.notify();
+  }
+
+  static toggle() {
+    MotionPreference.setPaused(!MotionPreference.isPaused());
+  }
+
+  static storedChoice() {
+    try {
+      return localStorage.getItem(MotionPreference.storageKey) || MotionPreference.choice;
+    } catch (error) {
+      return MotionPreference.choice;
+    }
+  }
+
+  static notify() {
+    document.dispatchEvent(new CustomEvent('motionchange', {
+      detail: { paused: MotionPreference.isPaused() }
+    }));
+  }
+}
+
+MotionPreference.storageKey = 'motion';
+MotionPreference.choice = null;
+MotionPreference.query = window.matchMedia
+  ? window.matchMedia('(prefers-reduced-motion: reduce)')
+  : null;
+
+if (MotionPreference.query && MotionPreference.query.addEventListener) {
+  MotionPreference.query.addEventListener('change', MotionPreference.notify);
+}
+
+window.MotionPreference = MotionPreference;
+
+/**
+ * Scene Clock - time source shared by every scene
+ * Each frame a scene asks for the seconds since its previous frame. freeze()
+ * stops time; setFixedStep() advances every frame by a fixed amount so
+ * playback is deterministic (tests, frame-by-frame capture).
+ */
+class SceneClock {
+  constructor() {
+    this.frozen = false;
+    this.fixedStep = null;
+    // Cap long gaps (jank, debugger) so scenes don't leap forward
+    this.maxDelta = 0.1;
+  }
+
+  delta(lastTime, now) {
+    if (this.frozen) return 0;
+    if (this.fixedStep !== null) return this.fixedStep;
+    if (lastTime === null) return 0;
+    return Math.min((now - lastTime) / 1000, this.maxDelta);
+  }
+
+  freeze() {
+    this.frozen = true;
+  }
+
+  unfreeze() {
+    this.frozen = false;
+  }
+
+  setFixedStep(seconds) {
+    this.fixedStep = seconds;
+  }
+}
+
+window.SceneClock = SceneClock;
+
+/**
+ * Quality Governor - page-wide quality tier that follows the frame rate
+ * Running scenes report each animation frame; when frames stay slower than
+ * `slow` times the 60 fps budget for `downAfter` ms the page drops a tier,
+ * and when they stay faster than `fast` times it for `upAfter` ms it climbs
+ * back. Every drop from a tier doubles the wait before trying it again, so
+ * a tier the machine can't hold is not retried every few seconds.
+ *
+ * A tier sets the renderer's pixel ratio cap, antialiasing and a frame rate
+ * cap (0 for none); scene classes add their own settings per tier in a
+ * static `quality`, e.g. { low: { detail: 1 }, medium: ..., high: ... },
+ * and read the result from this.quality. Scenes hear 'qualitychange'; a
+ * `quality` option pins a scene to one tier. set(tier) picks a tier by
+ * hand, and `adaptive = false` stops the automatic steps.
+ */
+class QualityGovernor {
+  static settings() {
+    return QualityGovernor.tiers[QualityGovernor.tier];
+  }
+
+  static set(tier) {
+    if (!QualityGovernor.tiers[tier] || tier === QualityGovernor.tier) return;
+    QualityGovernor.tier = tier;
+    QualityGovernor.reset();
+
+    try {
+      // Later pages of the visit start where this one settled
+      sessionStorage.setItem(QualityGovernor.storageKey, tier);
+    } catch (error) {
+      // Storage can be disabled; the next page starts at the top again
+    }
+    document.dispatchEvent(new CustomEvent('qualitychange', { detail: { tier } }));
+  }
+
+  static reset() {
+    QualityGovernor.average = null;
+    QualityGovernor.slowTime = 0;
+    QualityGovernor.fastTime = 0;
+  }
+
+  // Called by every running scene each animation frame with the frame's
+  // timestamp; scenes sharing a frame count once
+  static sample(now) {
+    const governor = QualityGovernor;
+    if (now === governor.lastTime) return;
+    const interval = governor.lastTime === null ? null : now - governor.lastTime;
+    governor.lastTime = now;
+
+    // Nothing ran in between (paused, hidden tab), so it says nothing of speed
+    if (interval === null || interval > governor.gap || !governor.adaptive) return;
+
+    governor.average = governor.average === null
+      ? interval
+      : governor.average + (interval - governor.average) * governor.smoothing;
+
+    const budget = 1000 / 60;
+    if (governor.average > budget * governor.slow) {
+      governor.slowTime += interval;
+      governor.fastTime = 0;
+    } else if (governor.average < budget * governor.fast) {
+      governor.fastTime += interval;
+      governor.slowTime = 0;
+    } else {
+      governor.slowTime = 0;
+      governor.fastTime = 0;
+    }
+
+    const order = governor.order;
+    const index = order.indexOf(governor.tier);
+    if (governor.slowTime >= governor.downAfter && index > 0) {
+      governor.strikes[governor.tier] = (governor.strikes[governor.tier] || 0) + 1;
+      governor.set(order[index - 1]);
+    } else if (index < order.length - 1) {
+      const wait = governor.upAfter * Math.pow(2, governor.strikes[order[index + 1]] || 0);
+      if (governor.fastTime >= wait) governor.set(order[index + 1]);
+    }
+  }
+
+  static storedTier() {
+    try {
+      return sessionStorage.getItem(QualityGovernor.storageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+QualityGovernor.tiers = {
+  low: { pixelRatio: 1, antialias: false, fps: 30 },
+  medium: { pixelRatio: 1.5, antialias: true, fps: 60 },
+  high: { pixelRatio: 2, antialias: true, fps: 0 }
+};
+QualityGovernor.order = ['low', 'medium', 'high'];
+QualityGovernor.storageKey = 'quality';
+QualityGovernor.tier = QualityGovernor.tiers[QualityGovernor.storedTier()] ? QualityGovernor.storedTier() : 'high';
+QualityGovernor.adaptive = true;
+// Frame time thresholds as multiples of the 60 fps budget (about 44 and 52 fps)
+QualityGovernor.slow = 1.35;
+QualityGovernor.fast = 1.15;
+// Milliseconds
+QualityGovernor.downAfter = 2000;
+QualityGovernor.upAfter = 8000;
+QualityGovernor.gap = 250;
+// Weight of each new frame in the running average
+QualityGovernor.smoothing = 0.1;
+QualityGovernor.lastTime = null;
+// Drops from each tier, which lengthen the wait to try it again
+QualityGovernor.strikes = {};
+QualityGovernor.reset();
+
+window.QualityGovernor = QualityGovernor;
+
+/**
+ * Pointer Input - mouse, touch and tilt input relative to a scene's container
+ * `position` holds x/y in [-1, 1], 0 at the container's center and +y up.
+ * Mouse hover follows the cursor; touch drags coast with inertia on release,
+ * then settle back to center (or to the device tilt when `tilt` is on; iOS
+ * asks for that permission on the first touch).
+ */
+class PointerInput {
+  constructor(scene, options = {}) {
+    this.container = scene.container;
+    this.options = {
+      tilt: false,
+      // Per-second decay of release velocity and pull back to rest
+      friction: 4,
+      spring: 2,
+      ...options
+    };
+
+    this.position = { x: 0, y: 0 };
+    this.velocity = { x: 0, y: 0 };
+    this.tilt = null;
+    this.drag = null;
+    this.mode = 'idle';
+
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onOrientation = this.onOrientation.bind(this);
+
+    // Listeners go through the scene so destroy() removes them
+    scene.listen(window, 'pointermove', this.onPointerMove, { passive: true });
+    scene.listen(this.container, 'pointerdown', this.onPointerDown);
+    scene.listen(window, 'pointerup', this.onPointerUp);
+    scene.listen(window, 'pointercancel', this.onPointerUp);
+    if (this.options.tilt) {
+      scene.listen(window, 'deviceorientation', this.onOrientation);
+    }
+
+    // Horizontal drags turn the scene; vertical ones still scroll the page
+    this.container.style.touchAction = 'pan-y';
+  }
+
+  static clamp(value) {
+    return Math.max(-1, Math.min(1, value));
+  }
+
+  toLocal(event) {
+    const rect = this.container.getBoundingClientRect();
+    return {
+      x: PointerInput.clamp(((event.clientX - rect.left) / rect.width) * 2 - 1),
+      y: PointerInput.clamp(-((event.clientY - rect.top) / rect.height) * 2 + 1)
+    };
+  }
+
+  onPointerMove(event) {
+    if (event.pointerType === 'mouse') {
+      Object.assign(this.position, this.toLocal(event));
+      this.mode = 'mouse';
+      return;
+    }
+
+    if (!this.drag || event.pointerId !== this.drag.id) return;
+
+    const point = this.toLocal(event);
+    const dt = Math.max((event.timeStamp - this.drag.time) / 1000, 1 / 240);
+    this.velocity.x = (point.x - this.position.x) / dt;
+    this.velocity.y = (point.y - this.position.y) / dt;
+    Object.assign(this.position, point);
+    this.drag.time = event.timeStamp;
+  }
+
+  onPointerDown(event) {
+    if (event.pointerType === 'mouse') return;
+    if (this.options.tilt) this.requestTilt();
+
+    this.drag = { id: event.pointerId, time: event.timeStamp };
+    this.mode = 'touch';
+    this.velocity.x = 0;
+    this.velocity.y = 0;
+    Object.assign(this.position, this.toLocal(event));
+  }
+
+  onPointerUp(event) {
+    if (this.drag && event.pointerId === this.drag.id) {
+      this.drag = null;
+    }
+  }
+
+  onOrientation(event) {
+    if (event.gamma === null || event.beta === null) return;
+    // About 30 degrees of tilt either way covers the full range; a phone
+    // held upright sits near beta = 45
+    this.tilt = {
+      x: PointerInput.clamp(event.gamma / 30),
+      y: PointerInput.clamp((45 - event.beta) / 30)
+    };
+    if (this.mode === 'idle') this.mode = 'tilt';
+  }
+
+  // iOS only delivers orientation events after a permission prompt, which
+  // must come from a user gesture
+  requestTilt() {
+    const Orientation = window.DeviceOrientationEvent;
+    if (this.tiltRequested || !Orientation || typeof Orientation.requestPermission !== 'function') {
+      return;
+    }
+    this.tiltRequested = true;
+    Orientation.requestPermission().catch(() => {
+      // Declined: touch input keeps working without tilt
+    });
+  }
+
+  update(delta) {
+    if (this.drag || this.mode === 'mouse') return;
+
+    // Coast on the release velocity, then settle on the tilt or the center
+    const rest = this.tilt || { x: 0, y: 0 };
+    const friction = Math.exp(-this.options.friction * delta);
+    const settle = BaseScene.damp(this.options.spring, delta);
+
+    ['x', 'y'].forEach(axis => {
+      this.position[axis] += this.velocity[axis] * delta;
+      this.velocity[axis] *= friction;
+      this.position[axis] += (rest[axis] - this.position[axis]) * settle;
+      this.position[axis] = PointerInput.clamp(this.position[axis]);
+    });
+  }
+}
+
+window.PointerInput = PointerInput;
+
+/**
+ * Scene Picker - hover and click on objects inside a scene
+ * Registered objects get a scale/opacity highlight and a pointer cursor
+ * while hovered. Handlers: onHover(object, hovered), onClick(object, event),
+ * href (navigate on click), label (tooltip), highlight: false to opt out.
+ */
+class ScenePicker {
+  constructor(scene) {
+    this.scene = scene;
+    this.container = scene.container;
+    this.targets = new Map();
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.inside = false;
+    this.hovered = null;
+
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerLeave = this.onPointerLeave.bind(this);
+    this.onClick = this.onClick.bind(this);
+
+    scene.listen(this.container, 'pointermove', this.onPointerMove);
+    scene.listen(this.container, 'pointerleave', this.onPointerLeave);
+    scene.listen(this.container, 'click', this.onClick);
+  }
+
+  add(object, handlers = {}) {
+    // Own material so the highlight doesn't spread to objects sharing it
+    if (object.material && !Array.isArray(object.material)) {
+      object.material = object.material.clone();
+    }
+
+    this.targets.set(object, {
+      ...handlers,
+      scale: object.scale.clone(),
+      opacity: object.material ? object.material.opacity : 1
+    });
+  }
+
+  remove(object) {
+    if (this.hovered === object) this.setHovered(null);
+    this.targets.delete(object);
+  }
+
+  setPointer(event) {
+    const rect = this.container.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.inside = true;
+  }
+
+  onPointerMove(event) {
+    this.setPointer(event);
+    this.pick();
+  }
+
+  onPointerLeave() {
+    this.inside = false;
+    this.setHovered(null);
+  }
+
+  // Also run every frame, since objects move under a still pointer
+  pick() {
+    if (!this.inside || this.targets.size === 0) return;
+
+    this.raycaster.setFromCamera(this.pointer, this.scene.camera);
+    const hits = this.raycaster.intersectObjects([...this.targets.keys()], false);
+    this.setHovered(hits.length > 0 ? hits[0].object : null);
+  }
+
+  setHovered(object) {
+    if (object === this.hovered) return;
+
+    if (this.hovered) this.feedback(this.hovered, false);
+    this.hovered = object;
+    if (object) this.feedback(object, true);
+
+    const target = object ? this.targets.get(object) : null;
+    this.container.style.cursor = target && (target.onClick || target.href) ? 'pointer' : '';
+    if (target && target.label) {
+      this.container.title = target.label;
+    } else {
+      this.container.removeAttribute('title');
+    }
+
+    // Paused scenes (reduced motion) still show the highlight
+    if (!this.scene.running) this.scene.render();
+  }
+
+  feedback(object, hovered) {
+    const target = this.targets.get(object);
+    if (!target) return;
+
+    if (target.highlight !== false) {
+      object.scale.copy(target.scale).multiplyScalar(hovered ? 1.25 : 1);
+      if (object.material) object.material.opacity = hovered ? 1 : target.opacity;
+    }
+    if (target.onHover) target.onHover(object, hovered);
+  }
+
+  onClick(event) {
+    // Taps arrive without a preceding hover
+    this.setPointer(event);
+    this.pick();
+    if (!this.hovered) return;
+
+    const target = this.targets.get(this.hovered);
+    if (target.onClick) target.onClick(this.hovered, event);
+    if (target.href && !event.defaultPrevented) {
+      if (window.Router && Router.started) {
+        Router.navigate(target.href);
+      } else {
+        window.location.href = target.href;
+      }
+    }
+  }
+}
+
+window.ScenePicker = ScenePicker;
+
+/**
+ * Base Scene - shared scene, camera, renderer and lifecycle
+ * Subclasses build geometry in createGeometry() and advance it in
+ * update(delta, elapsed); all speeds are in units per second.
+ */
+class BaseScene {
   constructor(container, options = {}) {
     this.container = typeof container === 'string'
       ? document.querySelector(container)
       : container;
 
-    if (!this.container) return;
-
     this.options = {
-      color: options.color || 0x1a1a1a,
-      wireframe: options.wireframe !== false,
-      segments: options.segments || 32,
-      radius: options.radius || 1.5,
-      rotationSpeed: options.rotationSpeed || 0.001,
-      mouseInfluence: options.mouseInfluence || 0.1,
+      fov: 50,
+      cameraDistance: 5,
       ...options
     };
 
-    this.mouse = { x: 0, y: 0 };
-    this.targetRotation = { x: 0, y: 0 };
-
-    this.init();
+    this.listeners = [];
+    this.frameId = null;
+    this.running = false;
+    this.started = false;
+    this.destroyed = false;
+
+    // Rendering stops while any reason is present ('manual', 'offscreen',
+    // 'hidden', 'motion')
+    this.pauseReasons = new Set();
+
+    // Animation time in seconds; only advances while frames are rendered
+    this.clock = this.options.clock || BaseScene.clock;
+    this.elapsed = 0;
+    this.lastFrameTime = null;
+
+    // Bind once so the same references can be removed in destroy()
+    this.animate = this.animate.bind(this);
+    this.onResize = this.onResize.bind(this);
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+    this.onContextLost = this.onContextLost.bind(this);
+    this.onContextRestored = this.onContextRestored.bind(this);
+    this.onMotionChange = this.onMotionChange.bind(this);
+    this.onThemeChange = this.onThemeChange.bind(this);
+    this.onQualityChange = this.onQualityChange.bind(this);
+
+    // Settings of the current quality tier; see QualityGovernor
+    this.quality = this.qualityFor(QualityGovernor.tier);
+
+    // Theme colors the page didn't pass in follow the site theme
+    const themeColors = this.constructor.themeColors || {};
+    this.themed = Object.keys(themeColors).filter(name => this.options[name] == null);
   }
 
+  /**
+   * Load what the scene needs, build it and start rendering. Resolves with
+   * the scene once the first frame is drawn. Without WebGL the scene is drawn
+   * by CanvasRenderer; rejects if load() fails, if the container has no size,
+   * or if WebGL is unavailable and the fallback is turned off with
+   * `fallback: false`. Repeated calls return the same promise.
+   */
   init() {
+    if (!this.ready) {
+      this.ready = Promise.resolve(this.load()).then(() => {
+        // Destroyed while loading
+        if (this.destroyed) return this;
+        this.setup();
+        this.render();
+        this.start();
+        return this;
+      });
+    }
+    return this.ready;
+  }
+
+  load() {
+    // Override in subclasses to fetch data before setup(); may return a promise
+  }
+
+  setup() {
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+    const name = this.constructor.name;
+
+    if (!width || !height) {
+      throw new Error(`${name}: container has zero size`);
+    }
+
     // Scene
     this.scene = new THREE.Scene();
 
     // Camera
-    const aspect = this.container.clientWidth / this.container.clientHeight;
-    this.camera = new THREE.PerspectiveCamera(50, aspect, 0.1, 1000);
-    this.camera.position.z = 4;
+    this.camera = new THREE.PerspectiveCamera(this.options.fov, width / height, 0.1, 1000);
+    this.camera.position.z = this.options.cameraDistance;
 
     // Renderer
-    this.renderer = new THREE.WebGLRenderer({
-      antialias: true,
-      alpha: true
-    });
-    this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    this.renderer = this.createRenderer();
+    this.renderer.setSize(width, height);
+    this.renderer.setPixelRatio(this.pixelRatio());
     this.container.appendChild(this.renderer.domElement);
 
-    // Create sphere
-    this.createSphere();
+    this.readTheme();
+    this.createGeometry();
 
     // Events
-    window.addEventListener('resize', () => this.onResize());
-    window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+    this.listen(window, 'resize', this.onResize);
+    this.listen(document, 'visibilitychange', this.onVisibilityChange);
+    this.listen(document, 'motionchange', this.onMotionChange);
+    this.listen(document, 'themechange', this.onThemeChange);
+    this.listen(document, 'qualitychange', this.onQualityChange);
+    this.observeVisibility();
+    if (MotionPreference.isPaused()) this.pauseReasons.add('motion');
+    this.bindEvents();
+  }
+
+  createRenderer() {
+    if (BaseScene.supportsWebGL()) {
+      try {
+        // Multi-view mode: draw through the page's single shared context
+        if (this.options.shared && window.MultiViewRenderer) {
+          const multiView = MultiViewRenderer.get();
+          // While the shared context is lost, a new scene makes its own
+          if (!multiView.lost) {
+            this.view = multiView.register(this);
+            return this.view;
+          }
+        }
+
+        this.webglRenderer = new THREE.WebGLRenderer({
+          antialias: this.quality.antialias !== false,
+          alpha: true
+        });
+        this.listen(this.webglRenderer.domElement, 'webglcontextlost', this.onContextLost);
+        this.listen(this.webglRenderer.domElement, 'webglcontextrestored', this.onContextRestored);
+        return this.webglRenderer;
+      } catch (error) {
+        // Context creation can still fail (blocklisted GPU, context limit)
+      }
+    }
+
+    if (this.options.fallback === false) {
+      throw new Error(`${this.constructor.name}: WebGL is unavailable`);
+    }
+    return new CanvasRenderer();
+  }
+
+  onContextLost(event) {
+    // preventDefault() lets the browser restore the context; draw in 2D meanwhile
+    event.preventDefault();
+    this.swapRenderer(new CanvasRenderer());
+  }
+
+  onContextRestored() {
+    // Three.js re-creates its GL state in its own restore handler
+    this.swapRenderer(this.webglRenderer);
+  }
+
+  swapRenderer(renderer) {
+    const current = this.renderer;
+    if (!current || current === renderer) return;
+
+    renderer.setPixelRatio(current.getPixelRatio());
+    renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+    if (current.domElement.parentNode) {
+      current.domElement.parentNode.replaceChild(renderer.domElement, current.domElement);
+    }
+    if (current.isCanvasRenderer) current.dispose();
+
+    this.renderer = renderer;
+    this.render();
+  }
+
+  // Probed once: every probe opens a context, and browsers keep only about
+  // 16 before evicting the oldest
+  static supportsWebGL() {
+    if (BaseScene.webGL === null) {
+      try {
+        const canvas = document.createElement('canvas');
+        const context = window.WebGLRenderingContext &&
+          (canvas.getContext('webgl') || canvas.getContext('experimental-webgl'));
+        BaseScene.webGL = !!context;
+
+        const lose = context && context.getExtension && context.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+      } catch (error) {
+        BaseScene.webGL = false;
+      }
+    }
+    return BaseScene.webGL;
+  }
+
+  createGeometry() {
+    // Override in subclasses
+  }
+
+  bindEvents() {
+    // Override in subclasses to add listeners via listen()
+  }
+
+  // Make an object respond to hover and click; see ScenePicker for handlers
+  pickable(object, handlers) {
+    if (!this.picker) this.picker = new ScenePicker(this);
+    this.picker.add(object, handlers);
+  }
+
+  // Pointer, touch and tilt input for scenes that follow the user
+  enableInput() {
+    this.input = new PointerInput(this, { tilt: this.options.tilt });
+  }
+
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  // Remove the listeners listen() added to `target`
+  unlisten(target) {
+    this.listeners = this.listeners.filter(listener => {
+      if (listener.target !== target) return true;
+      target.removeEventListener(listener.type, listener.handler, listener.options);
+      return false;
+    });
+  }
+
+  // Read a color from a CSS custom property on the container, e.g. --color-accent
+  cssColor(property, fallback) {
+    const value = getComputedStyle(this.container).getPropertyValue(property).trim();
+    return value ? new THREE.Color(value).getHex() : fallback;
+  }
+
+  // Read a comma-separated list of colors, e.g. --scene-palette
+  cssPalette(property, fallback) {
+    const value = getComputedStyle(this.container).getPropertyValue(property).trim();
+    return value ? value.split(',').map(color => new THREE.Color(color.trim()).getHex()) : fallback;
+  }
+
+  // Fill the themed options from their custom properties; see themeColors
+  readTheme() {
+    const themeColors = this.constructor.themeColors;
+    this.themed.forEach(name => {
+      const [property, fallback] = themeColors[name];
+      this.options[name] = Array.isArray(fallback)
+        ? this.cssPalette(property, fallback)
+        : this.cssColor(property, fallback);
+    });
+  }
+
+  onThemeChange() {
+    if (!this.scene || this.themed.length === 0) return;
+    this.readTheme();
+    this.applyColors();
+    if (!this.running) this.render();
+  }
+
+  applyColors() {
+    // Override in subclasses to push themed options into materials
+  }
+
+  // The global tier's settings with this class's own for it; the `quality`
+  // option pins the tier
+  qualityFor(tier) {
+    const name = this.options.quality || tier;
+    return { tier: name, ...QualityGovernor.tiers[name], ...(this.constructor.quality || {})[name] };
+  }
+
+  pixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, this.quality.pixelRatio || 2);
+  }
+
+  onQualityChange() {
+    if (this.options.quality || !this.renderer) return;
+    const previous = this.quality;
+    this.quality = this.qualityFor(QualityGovernor.tier);
+
+    // Antialiasing is fixed when a WebGL context is made; shared scenes
+    // keep the page's context
+    if (this.quality.antialias !== previous.antialias && this.renderer === this.webglRenderer) {
+      this.replaceRenderer();
+    }
+    this.renderer.setPixelRatio(this.pixelRatio());
+    this.applyQuality(previous);
+    if (!this.running) this.render();
+  }
+
+  replaceRenderer() {
+    const old = this.webglRenderer;
+    this.webglRenderer = null;
+    this.swapRenderer(this.createRenderer());
+
+    // Without its listeners, losing the old context doesn't swap in the 2D fallback
+    this.unlisten(old.domElement);
+    old.dispose();
+    old.forceContextLoss();
+  }
+
+  applyQuality(previous) {
+    // Override in subclasses to rebuild what their tier settings size
+  }
+
+  onResize() {
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+
+    // Paused scenes still redraw their still pose at the new size
+    if (!this.running) this.render();
+  }
+
+  observeVisibility() {
+    if (document.hidden) this.pauseReasons.add('hidden');
+    if (!('IntersectionObserver' in window)) return;
+
+    this.visibilityObserver = new IntersectionObserver(entries => {
+      const entry = entries[entries.length - 1];
+      if (entry.isIntersecting) {
+        this.resume('offscreen');
+      } else {
+        this.pause('offscreen');
+      }
+    });
+    this.visibilityObserver.observe(this.container);
+  }
+
+  // Reduced motion holds the current pose; mouse-follow stops with the loop
+  onMotionChange(event) {
+    if (event.detail.paused) {
+      this.pause('motion');
+    } else {
+      this.resume('motion');
+    }
+  }
+
+  onVisibilityChange() {
+    if (document.hidden) {
+      this.pause('hidden');
+    } else {
+      this.resume('hidden');
+    }
+  }
+
+  start() {
+    if (this.destroyed || !this.renderer) return;
+    this.started = true;
+    this.run();
+  }
+
+  pause(reason = 'manual') {
+    this.pauseReasons.add(reason);
+    this.halt();
+  }
+
+  resume(reason = 'manual') {
+    this.pauseReasons.delete(reason);
+    if (this.started) this.run();
+  }
+
+  run() {
+    if (this.running || this.destroyed || this.pauseReasons.size > 0) return;
+    this.running = true;
+    this.frameId = requestAnimationFrame(this.animate);
+  }
 
-    // Start animation
-    this.animate();
+  halt() {
+    this.running = false;
+    // Forget the last timestamp so the paused span is not added to elapsed
+    this.lastFrameTime = null;
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  animate(now) {
+    if (!this.running) return;
+    this.frameId = requestAnimationFrame(this.animate);
+    QualityGovernor.sample(now);
+
+    // Frame rate cap, with a little slack for uneven frame timestamps
+    const fps = this.quality.fps;
+    if (fps && this.lastFrameTime !== null && now - this.lastFrameTime < 1000 / fps - 2) return;
+
+    const delta = this.clock.delta(this.lastFrameTime, now);
+    this.lastFrameTime = now;
+
+    this.step(delta);
+  }
+
+  // Advance the scene by `delta` seconds and draw it; also usable by hand
+  // with a frozen clock
+  step(delta) {
+    this.tick(delta);
+    this.render();
+  }
+
+  // Advance the scene by `delta` seconds without drawing it (SceneExport
+  // draws recorded frames itself)
+  tick(delta) {
+    this.elapsed += delta;
+    if (this.input) this.input.update(delta);
+    this.update(delta, this.elapsed);
+    if (this.picker) this.picker.pick();
+  }
+
+  update(delta, elapsed) {
+    // Override in subclasses
+  }
+
+  // Frame-rate independent easing factor for `value += (target - value) * f`
+  static damp(rate, delta) {
+    return 1 - Math.exp(-rate * delta);
+  }
+
+  render() {
+    this.renderer.render(this.scene, this.camera);
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.halt();
+    this.destroyed = true;
+
+    if (this.visibilityObserver) {
+      this.visibilityObserver.disconnect();
+      this.visibilityObserver = null;
+    }
+
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+
+    if (this.scene) {
+      this.scene.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+          [].concat(object.material).forEach(material => material.dispose());
+        }
+      });
+    }
+
+    // The WebGL renderer (or shared view) is kept while the 2D fallback
+    // covers a lost context
+    new Set([this.renderer, this.webglRenderer, this.view]).forEach(renderer => {
+      if (!renderer) return;
+      renderer.dispose();
+      // Release the WebGL context now rather than waiting for GC
+      renderer.forceContextLoss();
+      const canvas = renderer.domElement;
+      if (canvas.parentNode) canvas.parentNode.removeChild(canvas);
+    });
+    this.renderer = null;
+    this.webglRenderer = null;
+    this.view = null;
+  }
+}
+
+BaseScene.clock = new SceneClock();
+// Whether the browser can make a WebGL context; null until supportsWebGL()
+BaseScene.webGL = null;
+
+// Options that take their color from the site theme, as
+// { option: [customProperty, fallback] }; an array fallback reads a palette.
+// Subclasses set their own.
+BaseScene.themeColors = {};
+
+window.BaseScene = BaseScene;
+
+/**
+ * 3D Animated Sphere - Bittensor-inspired visualization
+ */
+class AnimatedSphere extends BaseScene {
+  constructor(container, options = {}) {
+    super(container, {
+      wireframe: options.wireframe !== false,
+      segments: options.segments || 32,
+      radius: options.radius || 1.5,
+      // Radians per second
+      rotationSpeed: options.rotationSpeed || 0.06,
+      mouseInfluence: options.mouseInfluence || 0.1,
+      cameraDistance: 4,
+      ...options
+    });
+
+    if (!this.container) return;
+
+    this.targetRotation = { x: 0, y: 0 };
+
+    // Nothing else may be holding this promise, so report its failure here
+    this.init().catch(error => console.warn(error));
+  }
+
+  createGeometry() {
+    this.createSphere();
+  }
+
+  bindEvents() {
+    this.enableInput();
   }
 
   createSphere() {
-    const geometry = new THREE.IcosahedronGeometry(this.options.radius, 2);
+    const geometry = new THREE.IcosahedronGeometry(this.options.radius, this.quality.detail);
 
     const material = new THREE.MeshBasicMaterial({
       color: this.options.color,
@@ -70,7 +968,7 @@ class AnimatedSphere {
     this.scene.add(this.sphere);
 
     // Add inner sphere for depth
-    const innerGeometry = new THREE.IcosahedronGeometry(this.options.radius * 0.6, 1);
+    const innerGeometry = new THREE.IcosahedronGeometry(this.options.radius * 0.6, this.quality.innerDetail);
     const innerMaterial = new THREE.MeshBasicMaterial({
       color: this.options.color,
       wireframe: true,
@@ -82,101 +980,106 @@ class AnimatedSphere {
     this.scene.add(this.innerSphere);
   }
 
-  onResize() {
-    const width = this.container.clientWidth;
-    const height = this.container.clientHeight;
-
-    this.camera.aspect = width / height;
-    this.camera.updateProjectionMatrix();
-    this.renderer.setSize(width, height);
+  applyColors() {
+    this.sphere.material.color.setHex(this.options.color);
+    this.innerSphere.material.color.setHex(this.options.color);
   }
 
-  onMouseMove(event) {
-    this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  applyQuality(previous) {
+    if (this.quality.detail !== previous.detail) {
+      this.sphere.geometry.dispose();
+      this.sphere.geometry = new THREE.IcosahedronGeometry(this.options.radius, this.quality.detail);
+    }
+    if (this.quality.innerDetail !== previous.innerDetail) {
+      this.innerSphere.geometry.dispose();
+      this.innerSphere.geometry = new THREE.IcosahedronGeometry(this.options.radius * 0.6, this.quality.innerDetail);
+    }
   }
 
-  animate() {
-    requestAnimationFrame(() => this.animate());
+  update(delta) {
+    const rotation = this.options.rotationSpeed * delta;
 
     // Auto rotation
-    this.sphere.rotation.y += this.options.rotationSpeed;
-    this.sphere.rotation.x += this.options.rotationSpeed * 0.5;
+    this.sphere.rotation.y += rotation;
+    this.sphere.rotation.x += rotation * 0.5;
 
-    this.innerSphere.rotation.y -= this.options.rotationSpeed * 0.7;
-    this.innerSphere.rotation.x -= this.options.rotationSpeed * 0.3;
+    this.innerSphere.rotation.y -= rotation * 0.7;
+    this.innerSphere.rotation.x -= rotation * 0.3;
 
-    // Mouse influence
-    this.targetRotation.x = this.mouse.y * this.options.mouseInfluence;
-    this.targetRotation.y = this.mouse.x * this.options.mouseInfluence;
+    // Pointer influence
+    const pointer = this.input.position;
+    this.targetRotation.x = pointer.y * this.options.mouseInfluence;
+    this.targetRotation.y = pointer.x * this.options.mouseInfluence;
 
-    this.sphere.rotation.x += (this.targetRotation.x - this.sphere.rotation.x) * 0.05;
-    this.sphere.rotation.y += (this.targetRotation.y - this.sphere.rotation.y) * 0.05;
-
-    this.renderer.render(this.scene, this.camera);
-  }
-
-  destroy() {
-    window.removeEventListener('resize', this.onResize);
-    window.removeEventListener('mousemove', this.onMouseMove);
-    this.renderer.dispose();
-    this.container.removeChild(this.renderer.domElement);
+    const ease = BaseScene.damp(3, delta);
+    this.sphere.rotation.x += (this.targetRotation.x - this.sphere.rotation.x) * ease;
+    this.sphere.rotation.y += (this.targetRotation.y - this.sphere.rotation.y) * ease;
   }
 }
 
+AnimatedSphere.themeColors = {
+  color: ['--scene-primary', 0x1a1a1a]
+};
+// Icosahedron subdivisions of the outer and inner spheres
+AnimatedSphere.quality = {
+  low: { detail: 1, innerDetail: 0 },
+  medium: { detail: 1, innerDetail: 1 },
+  high: { detail: 2, innerDetail: 1 }
+};
+
 // Export for use
 window.AnimatedSphere = AnimatedSphere;
 
 /**
  * Neural Network 3D Animation - AI-themed visualization
  */
-class NeuralNetwork {
+class NeuralNetwork extends BaseScene {
   constructor(container, options = {}) {
-    this.container = typeof container === 'string'
-      ? document.querySelector(container)
-      : container;
-
-    if (!this.container) return;
+    const nodeCount = options.nodeCount || 50;
 
-    this.options = {
-      nodeCount: options.nodeCount || 50,
+    // Options first, so one passed as undefined still gets its default
+    super(container, {
+      fov: 60,
+      ...options,
+      nodeCount,
       connectionDistance: options.connectionDistance || 2,
-      nodeColor: options.nodeColor || 0x4f46e5,
-      lineColor: options.lineColor || 0x8b5cf6,
-      rotationSpeed: options.rotationSpeed || 0.0005,
-      ...options
-    };
+      // Capacity of the preallocated line buffer, shared out evenly: no node
+      // gets more than its part of the lines' ends
+      maxConnections: options.maxConnections || nodeCount * 8,
+      // Radians per second
+      rotationSpeed: options.rotationSpeed || 0.03
+    });
 
-    this.nodes = [];
-    this.lines = [];
+    if (!this.container) return;
 
-    // Skipping synchronous init to allow async init flow
-  }
+    // Nodes move inside a cube of half-size `bounds`
+    this.bounds = 2;
+    this.connectionCount = 0;
 
-  init() {
-    this.scene = new THREE.Scene();
+    // Not started here: call init(), which resolves after the first frame
+  }
 
-    const aspect = this.container.clientWidth / this.container.clientHeight;
-    this.camera = new THREE.PerspectiveCamera(60, aspect, 0.1, 1000);
-    this.camera.position.z = 5;
+  createGeometry() {
+    this.createNetwork();
+    this.createGrid();
+  }
 
-    this.renderer = new THREE.WebGLRenderer({
-      antialias: true,
-      alpha: true
-    });
-    this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.container.appendChild(this.renderer.domElement);
+  createNetwork() {
+    const count = this.options.nodeCount;
 
-    this.createNetwork();
+    this.positions = new Float32Array(count * 3);
+    this.velocities = new Float32Array(count * 3);
 
-    window.addEventListener('resize', () => this.onResize());
+    for (let i = 0; i < count * 3; i++) {
+      this.positions[i] = (Math.random() - 0.5) * this.bounds * 2;
+      // Units per second
+      this.velocities[i] = (Math.random() - 0.5) * 0.6;
+    }
 
-    this.animate();
-  }
+    this.networkGroup = new THREE.Group();
+    this.scene.add(this.networkGroup);
 
-  createNetwork() {
-    // Create nodes (neurons)
+    // Create nodes (neurons) - one instanced draw call for all of them
     const nodeGeometry = new THREE.SphereGeometry(0.05, 8, 8);
     const nodeMaterial = new THREE.MeshBasicMaterial({
       color: this.options.nodeColor,
@@ -184,145 +1087,250 @@ class NeuralNetwork {
       opacity: 0.9
     });
 
-    this.nodeGroup = new THREE.Group();
-
-    for (let i = 0; i < this.options.nodeCount; i++) {
-      const node = new THREE.Mesh(nodeGeometry, nodeMaterial.clone());
-      node.position.x = (Math.random() - 0.5) * 4;
-      node.position.y = (Math.random() - 0.5) * 4;
-      node.position.z = (Math.random() - 0.5) * 4;
-      node.userData.velocity = {
-        x: (Math.random() - 0.5) * 0.01,
-        y: (Math.random() - 0.5) * 0.01,
-        z: (Math.random() - 0.5) * 0.01
-      };
-      this.nodes.push(node);
-      this.nodeGroup.add(node);
-    }
-
-    this.scene.add(this.nodeGroup);
-
-    // Create connections
+    this.nodeMesh = new THREE.InstancedMesh(nodeGeometry, nodeMaterial, count);
+    this.nodeMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.nodeMesh.frustumCulled = false;
+    this.networkGroup.add(this.nodeMesh);
+
+    // Create connections - a single segment buffer rewritten every frame
+    const maxConnections = this.options.maxConnections;
+    const lineGeometry = new THREE.BufferGeometry();
+    this.linePositions = new THREE.BufferAttribute(new Float32Array(maxConnections * 6), 3);
+    this.lineColors = new THREE.BufferAttribute(new Float32Array(maxConnections * 8), 4);
+    this.linePositions.setUsage(THREE.DynamicDrawUsage);
+    this.lineColors.setUsage(THREE.DynamicDrawUsage);
+    lineGeometry.setAttribute('position', this.linePositions);
+    lineGeometry.setAttribute('color', this.lineColors);
+    lineGeometry.setDrawRange(0, 0);
+
+    // Vertex alpha fades each line by distance; material opacity caps it
     this.lineMaterial = new THREE.LineBasicMaterial({
       color: this.options.lineColor,
+      vertexColors: true,
       transparent: true,
       opacity: 0.3
     });
 
-    this.lineGroup = new THREE.Group();
-    this.scene.add(this.lineGroup);
+    this.lines = new THREE.LineSegments(lineGeometry, this.lineMaterial);
+    this.lines.frustumCulled = false;
+    this.networkGroup.add(this.lines);
+
+    this.updateNodes();
   }
 
-  updateConnections() {
-    // Remove old lines
-    while (this.lineGroup.children.length > 0) {
-      this.lineGroup.remove(this.lineGroup.children[0]);
-    }
-
-    // Create new connections based on distance
-    for (let i = 0; i < this.nodes.length; i++) {
-      for (let j = i + 1; j < this.nodes.length; j++) {
-        const dist = this.nodes[i].position.distanceTo(this.nodes[j].position);
-        if (dist < this.options.connectionDistance) {
-          const geometry = new THREE.BufferGeometry().setFromPoints([
-            this.nodes[i].position,
-            this.nodes[j].position
-          ]);
-          const line = new THREE.Line(geometry, this.lineMaterial);
-          this.lineGroup.add(line);
+  createGrid() {
+    // Uniform grid with cells a fraction of the connection distance wide.
+    // Cells as wide as the distance would span the whole cube at the default
+    // sizes; finer ones let whole cells out of reach be skipped
+    const count = this.options.nodeCount;
+    const reach = NeuralNetwork.cellsPerDistance;
+    this.cellSize = this.options.connectionDistance / reach;
+    this.gridSize = Math.max(1, Math.ceil((this.bounds * 2) / this.cellSize));
+
+    const cells = this.gridSize * this.gridSize * this.gridSize;
+    this.cellStart = new Int32Array(cells + 1);
+    this.cellFill = new Int32Array(cells);
+    this.cellNodes = new Int32Array(count);
+    this.nodeCells = new Int32Array(count * 3);
+    this.degrees = new Int32Array(count);
+    this.maxDegree = Math.max(1, Math.floor((this.options.maxConnections * 2) / count));
+
+    // Neighbor cells as [x, y, z] offsets: only those whose nearest point
+    // can lie within the connection distance, and only one of each pair of
+    // opposite offsets, so every pair of nodes is checked once
+    this.cellOffsets = [];
+    for (let x = -reach; x <= reach; x++) {
+      for (let y = -reach; y <= reach; y++) {
+        for (let z = -reach; z <= reach; z++) {
+          const gap = [x, y, z].reduce((sum, o) => sum + Math.pow(Math.max(0, Math.abs(o) - 1), 2), 0);
+          const forward = x > 0 || (x === 0 && (y > 0 || (y === 0 && z >= 0)));
+          if (gap < reach * reach && forward) this.cellOffsets.push(x, y, z);
         }
       }
     }
   }
 
-  onResize() {
-    const width = this.container.clientWidth;
-    const height = this.container.clientHeight;
-    this.camera.aspect = width / height;
-    this.camera.updateProjectionMatrix();
-    this.renderer.setSize(width, height);
+  cellCoord(value) {
+    const cell = Math.floor((value + this.bounds) / this.cellSize);
+    return Math.min(this.gridSize - 1, Math.max(0, cell));
   }
 
-  animate() {
-    requestAnimationFrame(() => this.animate());
+  buildGrid() {
+    const count = this.options.nodeCount;
+    const size = this.gridSize;
+    const { positions, nodeCells, cellStart, cellFill, cellNodes } = this;
+
+    cellStart.fill(0);
+
+    // Count nodes per cell
+    for (let i = 0; i < count; i++) {
+      const cx = this.cellCoord(positions[i * 3]);
+      const cy = this.cellCoord(positions[i * 3 + 1]);
+      const cz = this.cellCoord(positions[i * 3 + 2]);
+      nodeCells[i * 3] = cx;
+      nodeCells[i * 3 + 1] = cy;
+      nodeCells[i * 3 + 2] = cz;
+      cellStart[(cx * size + cy) * size + cz + 1]++;
+    }
 
-    // Move nodes
-    this.nodes.forEach(node => {
-      node.position.x += node.userData.velocity.x;
-      node.position.y += node.userData.velocity.y;
-      node.position.z += node.userData.velocity.z;
+    // Prefix sums give each cell its slice of cellNodes
+    for (let c = 1; c < cellStart.length; c++) {
+      cellStart[c] += cellStart[c - 1];
+    }
+
+    cellFill.set(cellStart.subarray(0, cellFill.length));
+    for (let i = 0; i < count; i++) {
+      const c = (nodeCells[i * 3] * size + nodeCells[i * 3 + 1]) * size + nodeCells[i * 3 + 2];
+      cellNodes[cellFill[c]++] = i;
+    }
+  }
 
-      // Bounce off boundaries
-      ['x', 'y', 'z'].forEach(axis => {
-        if (Math.abs(node.position[axis]) > 2) {
-          node.userData.velocity[axis] *= -1;
+  updateConnections() {
+    this.buildGrid();
+
+    const count = this.options.nodeCount;
+    const size = this.gridSize;
+    const maxDistance = this.options.connectionDistance;
+    const maxDistanceSq = maxDistance * maxDistance;
+    const maxConnections = this.options.maxConnections;
+    const { positions, nodeCells, cellStart, cellNodes, cellOffsets, degrees, maxDegree } = this;
+    const linePositions = this.linePositions.array;
+    const lineColors = this.lineColors.array;
+
+    let segments = 0;
+    degrees.fill(0);
+
+    for (let i = 0; i < count && segments < maxConnections; i++) {
+      const xi = positions[i * 3];
+      const yi = positions[i * 3 + 1];
+      const zi = positions[i * 3 + 2];
+      const cx = nodeCells[i * 3];
+      const cy = nodeCells[i * 3 + 1];
+      const cz = nodeCells[i * 3 + 2];
+
+      for (let o = 0; o < cellOffsets.length && degrees[i] < maxDegree; o += 3) {
+        const x = cx + cellOffsets[o];
+        const y = cy + cellOffsets[o + 1];
+        const z = cz + cellOffsets[o + 2];
+        if (x < 0 || y < 0 || z < 0 || x >= size || y >= size || z >= size) continue;
+        const c = (x * size + y) * size + z;
+        const own = x === cx && y === cy && z === cz;
+
+        for (let k = cellStart[c]; k < cellStart[c + 1]; k++) {
+          const j = cellNodes[k];
+          // Within its own cell a pair is visited from both ends; keep one
+          if ((own && j <= i) || degrees[j] >= maxDegree) continue;
+
+          const dx = positions[j * 3] - xi;
+          const dy = positions[j * 3 + 1] - yi;
+          const dz = positions[j * 3 + 2] - zi;
+          const distSq = dx * dx + dy * dy + dz * dz;
+          if (distSq >= maxDistanceSq) continue;
+
+          const p = segments * 6;
+          linePositions[p] = xi;
+          linePositions[p + 1] = yi;
+          linePositions[p + 2] = zi;
+          linePositions[p + 3] = xi + dx;
+          linePositions[p + 4] = yi + dy;
+          linePositions[p + 5] = zi + dz;
+
+          const alpha = 1 - Math.sqrt(distSq) / maxDistance;
+          const q = segments * 8;
+          lineColors[q] = lineColors[q + 4] = 1;
+          lineColors[q + 1] = lineColors[q + 5] = 1;
+          lineColors[q + 2] = lineColors[q + 6] = 1;
+          lineColors[q + 3] = lineColors[q + 7] = alpha;
+
+          segments++;
+          degrees[j]++;
+          if (++degrees[i] >= maxDegree || segments >= maxConnections) break;
         }
-      });
-    });
+      }
+    }
+
+    this.connectionCount = segments;
+    this.lines.geometry.setDrawRange(0, segments * 2);
+    this.linePositions.needsUpdate = true;
+    this.lineColors.needsUpdate = true;
+  }
 
-    // Update connections every few frames
-    if (Math.random() < 0.1) {
-      this.updateConnections();
+  updateNodes() {
+    const matrix = this.nodeMatrix || (this.nodeMatrix = new THREE.Matrix4());
+    for (let i = 0; i < this.options.nodeCount; i++) {
+      matrix.makeTranslation(
+        this.positions[i * 3],
+        this.positions[i * 3 + 1],
+        this.positions[i * 3 + 2]
+      );
+      this.nodeMesh.setMatrixAt(i, matrix);
     }
+    this.nodeMesh.instanceMatrix.needsUpdate = true;
+  }
 
-    // Rotate the whole network
-    this.nodeGroup.rotation.y += this.options.rotationSpeed;
-    this.lineGroup.rotation.y += this.options.rotationSpeed;
+  applyColors() {
+    this.nodeMesh.material.color.setHex(this.options.nodeColor);
+    this.lineMaterial.color.setHex(this.options.lineColor);
+  }
 
-    this.renderer.render(this.scene, this.camera);
+  update(delta) {
+    const { positions, velocities, bounds } = this;
+
+    // Move nodes and bounce off boundaries
+    for (let i = 0; i < positions.length; i++) {
+      positions[i] += velocities[i] * delta;
+      if (Math.abs(positions[i]) > bounds) {
+        positions[i] = Math.sign(positions[i]) * bounds;
+        velocities[i] *= -1;
+      }
+    }
+
+    this.updateNodes();
+    this.updateConnections();
+
+    // Rotate the whole network
+    this.networkGroup.rotation.y += this.options.rotationSpeed * delta;
   }
 }
 
+NeuralNetwork.themeColors = {
+  nodeColor: ['--color-accent', 0x4f46e5],
+  lineColor: ['--scene-secondary', 0x8b5cf6]
+};
+// Grid cells across one connection distance
+NeuralNetwork.cellsPerDistance = 3;
+
 window.NeuralNetwork = NeuralNetwork;
 
 /**
  * Data Cube 3D Animation - Portfolio visualization
  * Floating rotating cubes representing projects/data
  */
-class DataCube {
+class DataCube extends BaseScene {
   constructor(container, options = {}) {
-    this.container = typeof container === 'string'
-      ? document.querySelector(container)
-      : container;
-
-    if (!this.container) return;
-
-    this.options = {
+    super(container, {
       cubeCount: options.cubeCount || 6,
-      cubeColor: options.cubeColor || 0x4f46e5,
-      rotationSpeed: options.rotationSpeed || 0.005,
+      // Optional [{ href, label }] per cube, in cube order
+      links: options.links || [],
+      // Radians per second
+      rotationSpeed: options.rotationSpeed || 0.3,
+      cameraDistance: 6,
       ...options
-    };
+    });
+
+    if (!this.container) return;
 
     this.cubes = [];
 
-    // Skipping synchronous init to allow async init flow
+    // Not started here: call init(), which resolves after the first frame
   }
 
-  init() {
-    this.scene = new THREE.Scene();
-
-    const aspect = this.container.clientWidth / this.container.clientHeight;
-    this.camera = new THREE.PerspectiveCamera(50, aspect, 0.1, 1000);
-    this.camera.position.z = 6;
-
-    this.renderer = new THREE.WebGLRenderer({
-      antialias: true,
-      alpha: true
-    });
-    this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.container.appendChild(this.renderer.domElement);
-
+  createGeometry() {
     this.createCubes();
-
-    window.addEventListener('resize', () => this.onResize());
-
-    this.animate();
   }
 
   createCubes() {
-    const colors = [0x4f46e5, 0x8b5cf6, 0x06b6d4, 0x10b981, 0xf59e0b, 0xef4444];
+    const colors = this.options.palette;
 
     for (let i = 0; i < this.options.cubeCount; i++) {
       const size = 0.3 + Math.random() * 0.4;
@@ -344,19 +1352,22 @@ class DataCube {
       cube.position.z = Math.sin(angle) * radius;
 
       cube.userData.rotationSpeed = {
-        x: (Math.random() - 0.5) * 0.02,
-        y: (Math.random() - 0.5) * 0.02
+        x: (Math.random() - 0.5) * 1.2,
+        y: (Math.random() - 0.5) * 1.2
       };
       cube.userData.floatOffset = Math.random() * Math.PI * 2;
 
       this.cubes.push(cube);
       this.scene.add(cube);
+
+      const link = this.options.links[i];
+      if (link) this.pickable(cube, link);
     }
 
     // Add central larger cube
     const centerGeometry = new THREE.IcosahedronGeometry(0.6, 1);
     const centerMaterial = new THREE.MeshBasicMaterial({
-      color: 0x1a1a1a,
+      color: this.options.centerColor,
       wireframe: true,
       transparent: true,
       opacity: 0.8
@@ -365,81 +1376,60 @@ class DataCube {
     this.scene.add(this.centerCube);
   }
 
-  onResize() {
-    const width = this.container.clientWidth;
-    const height = this.container.clientHeight;
-    this.camera.aspect = width / height;
-    this.camera.updateProjectionMatrix();
-    this.renderer.setSize(width, height);
+  applyColors() {
+    const colors = this.options.palette;
+    this.cubes.forEach((cube, i) => cube.material.color.setHex(colors[i % colors.length]));
+    this.centerCube.material.color.setHex(this.options.centerColor);
   }
 
-  animate() {
-    requestAnimationFrame(() => this.animate());
-
-    const time = Date.now() * 0.001;
-
+  update(delta, elapsed) {
     // Animate cubes
     this.cubes.forEach((cube, i) => {
-      cube.rotation.x += cube.userData.rotationSpeed.x;
-      cube.rotation.y += cube.userData.rotationSpeed.y;
+      cube.rotation.x += cube.userData.rotationSpeed.x * delta;
+      cube.rotation.y += cube.userData.rotationSpeed.y * delta;
 
       // Floating motion
-      cube.position.y += Math.sin(time + cube.userData.floatOffset) * 0.002;
+      cube.position.y += Math.sin(elapsed + cube.userData.floatOffset) * 0.12 * delta;
     });
 
     // Rotate center
-    this.centerCube.rotation.x += 0.003;
-    this.centerCube.rotation.y += 0.005;
+    this.centerCube.rotation.x += 0.18 * delta;
+    this.centerCube.rotation.y += 0.3 * delta;
 
     // Rotate entire scene slowly
-    this.scene.rotation.y += this.options.rotationSpeed;
-
-    this.renderer.render(this.scene, this.camera);
+    this.scene.rotation.y += this.options.rotationSpeed * delta;
   }
 }
 
+// Cube colors cycle through the palette; links are listed in the same order
+DataCube.themeColors = {
+  palette: ['--scene-palette', [0x4f46e5, 0x8b5cf6, 0x06b6d4, 0x10b981, 0xf59e0b, 0xef4444]],
+  centerColor: ['--scene-primary', 0x1a1a1a]
+};
+
 window.DataCube = DataCube;
 
 /**
  * Geometric Animation - Generic 3D shape for Contact Page
  */
-class GeometricAnimation {
+class GeometricAnimation extends BaseScene {
   constructor(container, options = {}) {
-    this.container = typeof container === 'string'
-      ? document.querySelector(container)
-      : container;
-
-    if (!this.container) return;
-
-    this.options = {
-      color: options.color || 0x4f46e5,
+    super(container, {
       size: options.size || 1.5,
       mouseInfluence: options.mouseInfluence || 0.5,
       ...options
-    };
+    });
+
+    if (!this.container) return;
 
-    this.mouse = { x: 0, y: 0 };
     this.targetRotation = { x: 0, y: 0 };
-    this.init();
+    // Nothing else may be holding this promise, so report its failure here
+    this.init().catch(error => console.warn(error));
   }
 
-  init() {
-    this.scene = new THREE.Scene();
-
-    const aspect = this.container.clientWidth / this.container.clientHeight;
-    this.camera = new THREE.PerspectiveCamera(50, aspect, 0.1, 1000);
-    this.camera.position.z = 5;
-
-    this.renderer = new THREE.WebGLRenderer({
-      antialias: true,
-      alpha: true
-    });
-    this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.container.appendChild(this.renderer.domElement);
-
+  createGeometry() {
     // Create Geometry (Torus Knot)
-    const geometry = new THREE.TorusKnotGeometry(1, 0.3, 100, 16);
+    const geometry = this.createKnot();
     const material = new THREE.MeshBasicMaterial({
       color: this.options.color,
       wireframe: true,
@@ -449,41 +1439,48 @@ class GeometricAnimation {
 
     this.mesh = new THREE.Mesh(geometry, material);
     this.scene.add(this.mesh);
-
-    window.addEventListener('resize', () => this.onResize());
-    window.addEventListener('mousemove', (e) => this.onMouseMove(e));
-
-    this.animate();
   }
 
-  onResize() {
-    const width = this.container.clientWidth;
-    const height = this.container.clientHeight;
-    this.camera.aspect = width / height;
-    this.camera.updateProjectionMatrix();
-    this.renderer.setSize(width, height);
+  createKnot() {
+    return new THREE.TorusKnotGeometry(1, 0.3, this.quality.tubularSegments, this.quality.radialSegments);
   }
 
-  onMouseMove(event) {
-    this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  bindEvents() {
+    this.enableInput();
   }
 
-  animate() {
-    requestAnimationFrame(() => this.animate());
+  applyColors() {
+    this.mesh.material.color.setHex(this.options.color);
+  }
 
-    this.mesh.rotation.x += 0.003;
-    this.mesh.rotation.y += 0.005;
+  applyQuality() {
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = this.createKnot();
+  }
 
-    this.targetRotation.x = this.mouse.y * this.options.mouseInfluence;
-    this.targetRotation.y = this.mouse.x * this.options.mouseInfluence;
+  update(delta) {
+    this.mesh.rotation.x += 0.18 * delta;
+    this.mesh.rotation.y += 0.3 * delta;
 
-    this.mesh.rotation.x += (this.targetRotation.x - this.mesh.rotation.x) * 0.05;
-    this.mesh.rotation.y += (this.targetRotation.y - this.mesh.rotation.y) * 0.05;
+    const pointer = this.input.position;
+    this.targetRotation.x = pointer.y * this.options.mouseInfluence;
+    this.targetRotation.y = pointer.x * this.options.mouseInfluence;
 
-    this.renderer.render(this.scene, this.camera);
+    const ease = BaseScene.damp(3, delta);
+    this.mesh.rotation.x += (this.targetRotation.x - this.mesh.rotation.x) * ease;
+    this.mesh.rotation.y += (this.targetRotation.y - this.mesh.rotation.y) * ease;
   }
 }
 
+GeometricAnimation.themeColors = {
+  color: ['--color-accent', 0x4f46e5]
+};
+// Segments along and around the knot's tube
+GeometricAnimation.quality = {
+  low: { tubularSegments: 48, radialSegments: 8 },
+  medium: { tubularSegments: 64, radialSegments: 12 },
+  high: { tubularSegments: 100, radialSegments: 16 }
+};
+
 window.FaceAnimation = GeometricAnimation; // Keep alias for backward compatibility or easy switch
 window.GeometricAnimation = GeometricAnimation;
@@ -0,0 +1,240 @@
+/**
+ * Canvas Renderer - 2D fallback for machines without WebGL
+ * Draws the same Three.js scene graph as wireframe edges, lines and points
+ * on a 2D canvas. Exposes the subset of the WebGLRenderer API the scenes use.
+ */
+class CanvasRenderer {
+  constructor() {
+    this.isCanvasRenderer = true;
+    this.domElement = document.createElement('canvas');
+    this.context = this.domElement.getContext('2d');
+    this.width = 0;
+    this.height = 0;
+    this.pixelRatio = 1;
+
+    // Unique edge lists per geometry, built on first draw
+    this.edgeCache = new WeakMap();
+
+    this.viewProjection = new THREE.Matrix4();
+    this.mvp = new THREE.Matrix4();
+    this.instanceMatrix = new THREE.Matrix4();
+    this.projected = new Float32Array(0);
+  }
+
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.domElement.width = Math.floor(width * this.pixelRatio);
+    this.domElement.height = Math.floor(height * this.pixelRatio);
+    this.domElement.style.width = `${width}px`;
+    this.domElement.style.height = `${height}px`;
+  }
+
+  setPixelRatio(pixelRatio) {
+    this.pixelRatio = pixelRatio;
+    this.setSize(this.width, this.height);
+  }
+
+  getPixelRatio() {
+    return this.pixelRatio;
+  }
+
+  render(scene, camera) {
+    const ctx = this.context;
+    if (!ctx) return;
+
+    scene.updateMatrixWorld();
+    if (camera.parent === null) camera.updateMatrixWorld();
+    this.viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.lineWidth = 1;
+
+    scene.traverseVisible(object => {
+      if (!object.geometry || !object.material || !object.geometry.attributes.position) return;
+
+      if (object.isInstancedMesh) {
+        this.drawInstances(object);
+      } else if (object.isMesh) {
+        this.drawMesh(object);
+      } else if (object.isLineSegments || object.isLine) {
+        this.drawLines(object);
+      } else if (object.isPoints) {
+        this.drawPoints(object);
+      }
+    });
+
+    ctx.globalAlpha = 1;
+  }
+
+  // Project every vertex of a geometry into screen space; w <= 0 marks a
+  // vertex behind the camera
+  project(geometry, matrixWorld) {
+    const position = geometry.attributes.position;
+    const count = position.count;
+    if (this.projected.length < count * 3) {
+      this.projected = new Float32Array(count * 3);
+    }
+
+    const e = this.mvp.multiplyMatrices(this.viewProjection, matrixWorld).elements;
+    const out = this.projected;
+    const halfWidth = this.width / 2;
+    const halfHeight = this.height / 2;
+
+    for (let i = 0; i < count; i++) {
+      const x = position.getX(i);
+      const y = position.getY(i);
+      const z = position.getZ(i);
+      const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+
+      out[i * 3] = ((e[0] * x + e[4] * y + e[8] * z + e[12]) / w + 1) * halfWidth;
+      out[i * 3 + 1] = (1 - (e[1] * x + e[5] * y + e[9] * z + e[13]) / w) * halfHeight;
+      out[i * 3 + 2] = w;
+    }
+
+    return out;
+  }
+
+  edges(geometry) {
+    let edges = this.edgeCache.get(geometry);
+    if (edges) return edges;
+
+    const index = geometry.index;
+    const count = index ? index.count : geometry.attributes.position.count;
+    const seen = new Set();
+    const list = [];
+
+    for (let i = 0; i + 2 < count; i += 3) {
+      const face = index
+        ? [index.getX(i), index.getX(i + 1), index.getX(i + 2)]
+        : [i, i + 1, i + 2];
+
+      for (let k = 0; k < 3; k++) {
+        const a = face[k];
+        const b = face[(k + 1) % 3];
+        const key = a < b ? `${a}:${b}` : `${b}:${a}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        list.push(a, b);
+      }
+    }
+
+    edges = new Uint32Array(list);
+    this.edgeCache.set(geometry, edges);
+    return edges;
+  }
+
+  applyMaterial(material) {
+    const color = material.color ? material.color.getStyle() : '#000';
+    this.context.strokeStyle = color;
+    this.context.fillStyle = color;
+    this.context.globalAlpha = material.transparent ? material.opacity : 1;
+  }
+
+  // Meshes are drawn as their triangle edges, wireframe or not
+  drawMesh(mesh) {
+    const ctx = this.context;
+    const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+    const points = this.project(mesh.geometry, mesh.matrixWorld);
+    const edges = this.edges(mesh.geometry);
+
+    this.applyMaterial(material);
+    ctx.beginPath();
+    for (let i = 0; i < edges.length; i += 2) {
+      const a = edges[i] * 3;
+      const b = edges[i + 1] * 3;
+      if (points[a + 2] <= 0 || points[b + 2] <= 0) continue;
+      ctx.moveTo(points[a], points[a + 1]);
+      ctx.lineTo(points[b], points[b + 1]);
+    }
+    ctx.stroke();
+  }
+
+  // Instances are drawn as dots; full geometry per instance is too heavy here
+  drawInstances(mesh) {
+    const ctx = this.context;
+    const e = this.viewProjection.elements;
+    const halfWidth = this.width / 2;
+    const halfHeight = this.height / 2;
+
+    this.applyMaterial(mesh.material);
+    ctx.beginPath();
+
+    for (let i = 0; i < mesh.count; i++) {
+      mesh.getMatrixAt(i, this.instanceMatrix);
+      this.instanceMatrix.premultiply(mesh.matrixWorld);
+      const m = this.instanceMatrix.elements;
+      const x = m[12];
+      const y = m[13];
+      const z = m[14];
+      const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+      if (w <= 0) continue;
+
+      const sx = ((e[0] * x + e[4] * y + e[8] * z + e[12]) / w + 1) * halfWidth;
+      const sy = (1 - (e[1] * x + e[5] * y + e[9] * z + e[13]) / w) * halfHeight;
+      ctx.rect(sx - 1.5, sy - 1.5, 3, 3);
+    }
+
+    ctx.fill();
+  }
+
+  drawLines(line) {
+    const ctx = this.context;
+    const geometry = line.geometry;
+    const points = this.project(geometry, line.matrixWorld);
+    const colors = geometry.attributes.color;
+    const start = geometry.drawRange.start;
+    const end = Math.min(geometry.attributes.position.count, start + geometry.drawRange.count);
+    const step = line.isLineSegments ? 2 : 1;
+    const baseAlpha = line.material.transparent ? line.material.opacity : 1;
+
+    this.applyMaterial(line.material);
+
+    // Per-vertex alpha (NeuralNetwork distance fade) is bucketed into a few
+    // strokes instead of one stroke per segment
+    const buckets = line.material.vertexColors && colors && colors.itemSize === 4 ? 4 : 1;
+
+    for (let bucket = 1; bucket <= buckets; bucket++) {
+      ctx.globalAlpha = baseAlpha * (bucket / buckets);
+      ctx.beginPath();
+
+      for (let i = start; i + 1 < end; i += step) {
+        if (buckets > 1 && Math.ceil(colors.getW(i) * buckets) !== bucket) continue;
+        const a = i * 3;
+        const b = (i + 1) * 3;
+        if (points[a + 2] <= 0 || points[b + 2] <= 0) continue;
+        ctx.moveTo(points[a], points[a + 1]);
+        ctx.lineTo(points[b], points[b + 1]);
+      }
+
+      ctx.stroke();
+    }
+  }
+
+  drawPoints(points) {
+    const ctx = this.context;
+    const geometry = points.geometry;
+    const projected = this.project(geometry, points.matrixWorld);
+    const start = geometry.drawRange.start;
+    const end = Math.min(geometry.attributes.position.count, start + geometry.drawRange.count);
+
+    this.applyMaterial(points.material);
+    ctx.beginPath();
+    for (let i = start; i < end; i++) {
+      if (projected[i * 3 + 2] <= 0) continue;
+      ctx.rect(projected[i * 3] - 1, projected[i * 3 + 1] - 1, 2, 2);
+    }
+    ctx.fill();
+  }
+
+  dispose() {
+    this.edgeCache = new WeakMap();
+  }
+
+  forceContextLoss() {
+    // No GPU context to release
+  }
+}
+
+window.CanvasRenderer = CanvasRenderer;
@@ -0,0 +1,131 @@
+/**
+ * Project Metrics - fills metric panels from data/metrics/<slug>.json
+ *
+ *   <div class="project-metrics" data-metrics="../data/metrics/geo-insight.json">
+ *     <div class="metric-item" data-metric="accuracy">
+ *       <span class="metric-num">99%</span> ...
+ *
+ * Each metric is a list of timestamped samples; the latest one is shown
+ * (the built page already holds it, so nothing changes without JS). Numbers
+ * count up from zero the first time the panel scrolls into view, and every
+ * numeric metric - including scene-only ones with "panel": false - is passed
+ * to the page's scene through setInput().
+ */
+class ProjectMetrics {
+  static load(url) {
+    if (!ProjectMetrics.files.has(url)) {
+      const request = fetch(url).then(response => {
+        if (!response.ok) throw new Error(`ProjectMetrics: could not load ${url} (${response.status})`);
+        return response.json();
+      });
+      request.catch(() => ProjectMetrics.files.delete(url));
+      ProjectMetrics.files.set(url, request);
+    }
+    return ProjectMetrics.files.get(url);
+  }
+
+  static latest(metric) {
+    return metric.samples.reduce((last, sample) => (Date.parse(sample.time) > Date.parse(last.time) ? sample : last));
+  }
+
+  static format(metric, value) {
+    if (typeof value !== 'number') return String(value);
+    return `${metric.prefix || ''}${value.toFixed(metric.decimals || 0)}${metric.suffix || ''}`;
+  }
+
+  static bind(panel) {
+    if (ProjectMetrics.panels.has(panel)) return;
+    ProjectMetrics.panels.add(panel);
+
+    const url = new URL(panel.dataset.metrics, document.baseURI).href;
+    ProjectMetrics.load(url)
+      .then(data => {
+        if (!panel.isConnected) return;
+        const metrics = (data.metrics || []).filter(metric => metric.samples && metric.samples.length > 0);
+        ProjectMetrics.render(panel, metrics);
+        ProjectMetrics.drive(panel, metrics);
+      })
+      .catch(error => console.warn(error.message));
+  }
+
+  static render(panel, metrics) {
+    const counters = [];
+
+    metrics.forEach(metric => {
+      const item = panel.querySelector(`[data-metric="${metric.key}"]`);
+      const number = item && item.querySelector('.metric-num');
+      if (!number) return;
+
+      const sample = ProjectMetrics.latest(metric);
+      number.textContent = ProjectMetrics.format(metric, sample.value);
+      item.title = `As of ${new Date(sample.time).toLocaleDateString()}`;
+      if (typeof sample.value === 'number') counters.push({ metric, number, value: sample.value });
+    });
+
+    const still = window.MotionPreference && MotionPreference.isPaused();
+    if (counters.length === 0 || still || !('IntersectionObserver' in window)) return;
+
+    counters.forEach(counter => {
+      counter.number.textContent = ProjectMetrics.format(counter.metric, 0);
+    });
+
+    const observer = new IntersectionObserver(entries => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+      observer.disconnect();
+      ProjectMetrics.countUp(counters);
+    }, { threshold: 0.5 });
+    observer.observe(panel);
+  }
+
+  // Ease out from zero to each value over `duration` seconds
+  static countUp(counters) {
+    const start = performance.now();
+
+    const frame = now => {
+      const t = Math.min(1, (now - start) / (ProjectMetrics.duration * 1000));
+      const ease = 1 - Math.pow(1 - t, 3);
+      counters.forEach(({ metric, number, value }) => {
+        number.textContent = ProjectMetrics.format(metric, t < 1 ? value * ease : value);
+      });
+      if (t < 1 && counters[0].number.isConnected) requestAnimationFrame(frame);
+    };
+
+    requestAnimationFrame(frame);
+  }
+
+  // The scene in the same <main> as the panel, if it takes inputs
+  static drive(panel, metrics) {
+    const root = panel.closest('main') || document;
+    const element = root.querySelector('[data-scene]');
+    const scene = element && window.SceneLoader && SceneLoader.instances.get(element);
+    if (!scene || typeof scene.setInput !== 'function') return;
+
+    metrics.forEach(metric => {
+      const { value } = ProjectMetrics.latest(metric);
+      if (typeof value === 'number') scene.setInput(metric.key, value);
+    });
+  }
+
+  static scan(root = document) {
+    root.querySelectorAll('[data-metrics]').forEach(panel => ProjectMetrics.bind(panel));
+  }
+
+  static start() {
+    ProjectMetrics.scan();
+    // The router swaps <main> without reloading this script
+    document.addEventListener('routechange', () => ProjectMetrics.scan());
+  }
+}
+
+ProjectMetrics.files = new Map();
+ProjectMetrics.panels = new WeakSet();
+// Seconds
+ProjectMetrics.duration = 1.2;
+
+window.ProjectMetrics = ProjectMetrics;
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', ProjectMetrics.start);
+} else {
+  ProjectMetrics.start();
+}
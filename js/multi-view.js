@@ -0,0 +1,199 @@
+/**
+ * Multi-View Renderer - one WebGL context for many scenes on a page
+ * Scenes created with `shared: true` draw into their container's rectangle
+ * on a single fixed, full-page canvas using scissor/viewport, instead of
+ * each holding its own context (browsers cap those at around 16).
+ */
+class MultiViewRenderer {
+  static get() {
+    if (!MultiViewRenderer.instance) {
+      MultiViewRenderer.instance = new MultiViewRenderer();
+    }
+    return MultiViewRenderer.instance;
+  }
+
+  constructor() {
+    this.views = new Set();
+    this.frameId = null;
+    this.size = new THREE.Vector2();
+
+    this.draw = this.draw.bind(this);
+    this.requestRender = this.requestRender.bind(this);
+    this.onQualityChange = this.onQualityChange.bind(this);
+    this.onContextLost = this.onContextLost.bind(this);
+    this.onContextRestored = this.onContextRestored.bind(this);
+    this.lost = false;
+
+    this.renderer = this.createRenderer();
+    document.body.appendChild(this.renderer.domElement);
+
+    // Views move with the page, so scrolling needs a redraw too
+    window.addEventListener('scroll', this.requestRender, { passive: true });
+    window.addEventListener('resize', this.requestRender);
+    document.addEventListener('qualitychange', this.onQualityChange);
+  }
+
+  // Made at the page's quality tier
+  createRenderer() {
+    const quality = QualityGovernor.settings();
+    const renderer = new THREE.WebGLRenderer({
+      antialias: quality.antialias,
+      alpha: true
+    });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, quality.pixelRatio));
+    renderer.setClearColor(0x000000, 0);
+    renderer.domElement.className = 'multi-view-canvas';
+    renderer.domElement.addEventListener('webglcontextlost', this.onContextLost);
+    renderer.domElement.addEventListener('webglcontextrestored', this.onContextRestored);
+    this.antialias = quality.antialias;
+    return renderer;
+  }
+
+  // Without its listeners, losing the context doesn't swap in the 2D fallback
+  releaseRenderer(renderer) {
+    renderer.domElement.removeEventListener('webglcontextlost', this.onContextLost);
+    renderer.domElement.removeEventListener('webglcontextrestored', this.onContextRestored);
+    renderer.dispose();
+    renderer.forceContextLoss();
+    renderer.domElement.remove();
+  }
+
+  register(scene) {
+    const view = new SceneView(this, scene);
+    this.views.add(view);
+    return view;
+  }
+
+  unregister(view) {
+    this.views.delete(view);
+    if (this.views.size === 0 && !MultiViewRenderer.persistent) {
+      this.dispose();
+    } else {
+      this.requestRender();
+    }
+  }
+
+  // As with a scene's own context: every view draws in 2D until the
+  // browser restores the shared one
+  onContextLost(event) {
+    event.preventDefault();
+    this.lost = true;
+    this.views.forEach(view => view.scene.swapRenderer(new CanvasRenderer()));
+  }
+
+  onContextRestored() {
+    this.lost = false;
+    this.views.forEach(view => view.scene.swapRenderer(view));
+    this.requestRender();
+  }
+
+  onQualityChange() {
+    const quality = QualityGovernor.settings();
+
+    // Antialiasing is fixed when a context is made, so a change needs a new
+    // one; a lost context is left to the browser to restore
+    if (quality.antialias !== this.antialias && !this.lost) {
+      const old = this.renderer;
+      this.renderer = this.createRenderer();
+      old.domElement.replaceWith(this.renderer.domElement);
+      this.releaseRenderer(old);
+    } else {
+      this.renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, quality.pixelRatio));
+    }
+    this.requestRender();
+  }
+
+  requestRender() {
+    if (this.frameId === null) {
+      this.frameId = requestAnimationFrame(this.draw);
+    }
+  }
+
+  // The drawing buffer is cleared every frame, so each draw repaints all
+  // visible views, paused ones included
+  draw() {
+    this.frameId = null;
+    if (this.lost) return;
+
+    // Viewport size without scrollbars, matching getBoundingClientRect()
+    const width = document.documentElement.clientWidth;
+    const height = document.documentElement.clientHeight;
+    const size = this.renderer.getSize(this.size);
+    if (size.x !== width || size.y !== height) {
+      this.renderer.setSize(width, height);
+    }
+
+    this.renderer.setScissorTest(false);
+    this.renderer.clear();
+    this.renderer.setScissorTest(true);
+
+    this.views.forEach(view => {
+      const rect = view.rect || view.scene.container.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0 || rect.bottom < 0 ||
+        rect.top > height || rect.right < 0 || rect.left > width) {
+        return;
+      }
+
+      const bottom = height - rect.bottom;
+      this.renderer.setViewport(rect.left, bottom, rect.width, rect.height);
+      this.renderer.setScissor(rect.left, bottom, rect.width, rect.height);
+      this.renderer.render(view.scene.scene, view.scene.camera);
+    });
+  }
+
+  dispose() {
+    if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+    window.removeEventListener('scroll', this.requestRender);
+    window.removeEventListener('resize', this.requestRender);
+    document.removeEventListener('qualitychange', this.onQualityChange);
+
+    this.releaseRenderer(this.renderer);
+    MultiViewRenderer.instance = null;
+  }
+}
+
+MultiViewRenderer.instance = null;
+// Keep the canvas when the last view goes (set by Router between pages)
+MultiViewRenderer.persistent = false;
+
+/**
+ * Scene View - stands in for a scene's own renderer in multi-view mode
+ * render() only asks the shared renderer for a frame
+ */
+class SceneView {
+  constructor(multiView, scene) {
+    this.isSceneView = true;
+    this.multiView = multiView;
+    this.scene = scene;
+    this.domElement = document.createElement('div');
+    this.domElement.className = 'scene-view';
+    // Fixed viewport rectangle overriding the container's (Router morphs)
+    this.rect = null;
+  }
+
+  setSize() {
+    this.multiView.requestRender();
+  }
+
+  setPixelRatio() {
+    // The shared canvas owns the pixel ratio
+  }
+
+  getPixelRatio() {
+    return this.multiView.renderer.getPixelRatio();
+  }
+
+  render() {
+    this.multiView.requestRender();
+  }
+
+  dispose() {
+    this.multiView.unregister(this);
+  }
+
+  forceContextLoss() {
+    // The shared context outlives any single view
+  }
+}
+
+window.MultiViewRenderer = MultiViewRenderer;
@@ -0,0 +1,40 @@
+/**
+ * Mobile navigation toggle
+ */
+document.querySelectorAll('.nav-toggle').forEach(button => {
+  button.addEventListener('click', () => {
+    document.getElementById('navLinks').classList.toggle('active');
+  });
+});
+
+/**
+ * Animation pause toggle - reflects and sets MotionPreference
+ */
+document.querySelectorAll('[data-motion-toggle]').forEach(button => {
+  if (!window.MotionPreference) {
+    button.hidden = true;
+    return;
+  }
+
+  const sync = () => button.setAttribute('aria-pressed', String(MotionPreference.isPaused()));
+
+  button.addEventListener('click', () => MotionPreference.toggle());
+  document.addEventListener('motionchange', sync);
+  sync();
+});
+
+/**
+ * Theme toggle - reflects and sets ThemePreference
+ */
+document.querySelectorAll('[data-theme-toggle]').forEach(button => {
+  if (!window.ThemePreference) {
+    button.hidden = true;
+    return;
+  }
+
+  const sync = () => button.setAttribute('aria-pressed', String(ThemePreference.isDark()));
+
+  button.addEventListener('click', () => ThemePreference.toggle());
+  document.addEventListener('themechange', sync);
+  sync();
+});
@@ -0,0 +1,236 @@
+/**
+ * Policy Rules - a small Policy-as-Code evaluator for the Policy-Guard demo
+ *
+ *   const ruleSet = PolicyRules.parse(text);        // JSON or YAML
+ *   const report = PolicyRules.evaluate(ruleSet, documentText);
+ *   report.passed, report.results[i].passed, report.violations
+ *
+ * A rule set has a "policy" name and a list of "rules", each with an id,
+ * title, severity (low, medium or high) and an optional message, plus any
+ * of these checks (all of a rule's checks must pass):
+ *
+ *   require: { any: [phrase, ...] }   at least one phrase appears
+ *   require: { all: [phrase, ...] }   every phrase appears
+ *   require: { pattern: regex }       the pattern matches
+ *   forbid:  { any: [...] } or { pattern: regex }   nothing matches
+ *   words:   { min, max }             word count in range
+ *
+ * Phrases match whole words, ignoring case; patterns are case-insensitive
+ * unless "flags" says otherwise. YAML support covers what rule files need:
+ * nested mappings and lists, quoted and plain scalars, [flow, lists] and
+ * comments; not anchors or multi-line strings.
+ */
+class PolicyRules {
+  static parse(text) {
+    return /^\s*[[{]/.test(text) ? JSON.parse(text) : PolicyRules.parseYaml(text);
+  }
+
+  static parseYaml(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+      const content = PolicyRules.stripComment(raw).trimEnd();
+      if (content.trim() === '') return;
+      lines.push({ indent: content.length - content.trimStart().length, content: content.trim(), number: i + 1 });
+    });
+
+    const state = { lines, index: 0 };
+    if (lines.length === 0) return null;
+    const value = PolicyRules.parseBlock(state, lines[0].indent);
+    if (state.index < lines.length) {
+      throw new Error(`PolicyRules: unexpected indentation on line ${lines[state.index].number}`);
+    }
+    return value;
+  }
+
+  static parseBlock(state, indent) {
+    const line = state.lines[state.index];
+    return PolicyRules.isItem(line.content)
+      ? PolicyRules.parseSequence(state, indent)
+      : PolicyRules.parseMapping(state, indent);
+  }
+
+  static parseSequence(state, indent) {
+    const items = [];
+    let line = state.lines[state.index];
+
+    while (line && line.indent === indent && PolicyRules.isItem(line.content)) {
+      const rest = line.content.slice(1).trim();
+      if (rest === '') {
+        state.index++;
+        const next = state.lines[state.index];
+        items.push(next && next.indent > indent ? PolicyRules.parseBlock(state, next.indent) : null);
+      } else if (PolicyRules.splitKey(rest)) {
+        // "- key: value" opens a mapping indented to where its key starts
+        const inner = indent + line.content.indexOf(rest);
+        state.lines[state.index] = { ...line, indent: inner, content: rest };
+        items.push(PolicyRules.parseMapping(state, inner));
+      } else {
+        state.index++;
+        items.push(PolicyRules.scalar(rest));
+      }
+      line = state.lines[state.index];
+    }
+
+    return items;
+  }
+
+  static parseMapping(state, indent) {
+    const mapping = {};
+    let line = state.lines[state.index];
+
+    while (line && line.indent === indent && !PolicyRules.isItem(line.content)) {
+      const pair = PolicyRules.splitKey(line.content);
+      if (!pair) throw new Error(`PolicyRules: expected "key: value" on line ${line.number}`);
+      state.index++;
+
+      const [key, value] = pair;
+      const next = state.lines[state.index];
+      if (value !== '') {
+        mapping[key] = PolicyRules.scalar(value);
+      } else if (next && (next.indent > indent || (next.indent === indent && PolicyRules.isItem(next.content)))) {
+        // Lists may sit at their key's own indentation
+        mapping[key] = PolicyRules.parseBlock(state, next.indent);
+      } else {
+        mapping[key] = null;
+      }
+      line = state.lines[state.index];
+    }
+
+    return mapping;
+  }
+
+  static isItem(content) {
+    return content === '-' || content.startsWith('- ');
+  }
+
+  // [key, value] for "key: value" or "key:", outside quotes; null otherwise
+  static splitKey(content) {
+    let quote = null;
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        if (i === 0) quote = char;
+      } else if (char === ':' && (i === content.length - 1 || content[i + 1] === ' ')) {
+        const key = content.slice(0, i).trim();
+        return [String(PolicyRules.scalar(key)), content.slice(i + 1).trim()];
+      } else if (char === '[' || char === '{') {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  static stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+        return line.slice(0, i);
+      }
+    }
+    return line;
+  }
+
+  static scalar(text) {
+    if (text.startsWith('"')) return JSON.parse(text);
+    if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+    if (text.startsWith('[') && text.endsWith(']')) {
+      return PolicyRules.splitFlow(text.slice(1, -1)).map(item => PolicyRules.scalar(item));
+    }
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null' || text === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return text;
+  }
+
+  // Comma-separated items of a flow list, keeping quoted commas
+  static splitFlow(text) {
+    const items = [];
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i <= text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === ',' || i === text.length) {
+        const item = text.slice(start, i).trim();
+        if (item !== '') items.push(item);
+        start = i + 1;
+      }
+    }
+    return items;
+  }
+
+  static evaluate(ruleSet, text) {
+    const results = ((ruleSet && ruleSet.rules) || []).map(rule => {
+      const problems = PolicyRules.check(rule, text);
+      return {
+        rule,
+        passed: problems.length === 0,
+        message: problems.length === 0 ? '' : rule.message || problems.join('; ')
+      };
+    });
+
+    const violations = results.filter(result => !result.passed);
+    return { results, violations, passed: violations.length === 0 };
+  }
+
+  // What is wrong with `text` under one rule; empty when it passes
+  static check(rule, text) {
+    const problems = [];
+
+    if (rule.require) {
+      const { any, all, pattern } = rule.require;
+      if (any && !any.some(phrase => PolicyRules.phrase(phrase).test(text))) {
+        problems.push(`Mentions none of: ${any.join(', ')}`);
+      }
+      if (all) {
+        const missing = all.filter(phrase => !PolicyRules.phrase(phrase).test(text));
+        if (missing.length > 0) problems.push(`Missing: ${missing.join(', ')}`);
+      }
+      if (pattern && !PolicyRules.pattern(rule.require).test(text)) {
+        problems.push('Required pattern not found');
+      }
+    }
+
+    if (rule.forbid) {
+      const { any, pattern } = rule.forbid;
+      const found = (any || []).map(phrase => text.match(PolicyRules.phrase(phrase))).filter(Boolean);
+      if (found.length > 0) problems.push(`Found ${found.map(match => `"${match[0]}"`).join(', ')}`);
+      const match = pattern && text.match(PolicyRules.pattern(rule.forbid));
+      if (match) problems.push(`Found "${match[0]}"`);
+    }
+
+    if (rule.words) {
+      const count = (text.match(/\S+/g) || []).length;
+      if (rule.words.min !== undefined && count < rule.words.min) {
+        problems.push(`${count} words; needs at least ${rule.words.min}`);
+      }
+      if (rule.words.max !== undefined && count > rule.words.max) {
+        problems.push(`${count} words; at most ${rule.words.max}`);
+      }
+    }
+
+    return problems;
+  }
+
+  static phrase(phrase) {
+    const escaped = String(phrase).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`\\b${escaped}\\b`, 'i');
+  }
+
+  static pattern({ pattern, flags }) {
+    return new RegExp(pattern, flags !== undefined ? flags : 'i');
+  }
+}
+
+window.PolicyRules = PolicyRules;
@@ -1,391 +1,1952 @@
 /**
  * Project-specific 3D Animations
- * Each project gets a unique visualization style
+ * Each project gets a unique visualization style, described by a JSON scene
+ * file in scenes/ and built by ProjectAnimation
  */
 
-// Base animation class
-class ProjectAnimation {
+/**
+ * Project Animation - builds a scene from a JSON description
+ *
+ *   {
+ *     "camera": { "fov": 50, "distance": 5 },
+ *     "objects": [{
+ *       "id": "gear",
+ *       "type": "mesh",
+ *       "geometry": { "type": "torus", "args": [1, 0.3, 8, 20] },
+ *       "material": { "wireframe": true, "opacity": 0.5 },
+ *       "position": [0, 0, 0], "rotation": [0, 0, 0], "scale": 1,
+ *       "repeat": { "count": 5, "step": { "position": [1.5, 0, 0], "phase": 0.5 } },
+ *       "behaviors": [{ "type": "rotate", "speed": [0, 0, 0.6] }]
+ *     }]
+ *   }
+ *
+ * Object types:
+ *   mesh      geometry.type names a Three.js geometry (box, sphere, torus,
+ *             torusKnot, icosahedron, cylinder, circle, ring, ...) built
+ *             with geometry.args
+ *   points    "points": [[x, y, z], ...], or "count" points scattered at
+ *             random in a box of size "scatter": [w, h, d]
+ *   line      a polyline through "points"
+ *   segments  one line per pair of "points"
+ *
+ * material takes opacity (makes the material transparent), wireframe (mesh)
+ * and size (points). Every object is drawn in the scene's theme color.
+ *
+ * repeat makes copies of the object: "count" copies, each shifted by "step"
+ * (position/rotation added per copy; any other step field is added to the
+ * same field of each behavior, e.g. "phase"), or one copy per entry of
+ * "positions", or "count" copies spaced around a circle of radius "circle"
+ * in the xy plane.
+ *
+ * Behaviors (speeds are per second; see ProjectAnimation.behaviors):
+ *   rotate  { speed: [x, y, z] }                radians per second
+ *   orbit   { axis, radius, speed, phase }      circles the axis
+ *   pulse   { min, max, speed }                 scale bounces between min and max
+ *   flow    { path: [[x, y, z], ...], speed, offset }
+ *                                               moves along the path, wrapping
+ *   wave    { property, amplitude, speed, phase }
+ *                                               sine wave around the property's
+ *                                               start value ("material.opacity"
+ *                                               unless a path is given)
+ *
+ * Built objects are kept by id in `objects` (an array per id, one entry per
+ * copy); each carries its live behaviors in userData.behaviors, so
+ * subclasses can reach in and drive them.
+ *
+ * Inputs let page data drive behaviors. setInput(name, value) maps the value
+ * from the input's "domain" (clamped) onto each target's "range" and writes
+ * it to that field of the object's behaviors of that type (plus any repeat
+ * step for the field). js/metrics.js calls it with each metric's key:
+ *
+ *   "inputs": {
+ *     "failureRisk": {
+ *       "domain": [0, 1],
+ *       "targets": [{ "object": "gear", "behavior": "pulse", "field": "speed", "range": [0.2, 1.5] }]
+ *     }
+ *   }
+ *
+ * Subclasses that play back data name it in the scene file as a section with
+ * a "src" (relative to scenes/) and read it with loadData(). Pages that want
+ * captions and playback controls pass data-scene-controls; those go in a
+ * panel after the scene's element (createPanel, createTimeline).
+ * data-scene-mouse-influence (radians) swings the camera around the scene
+ * toward the pointer; without it the scene takes no pointer input.
+ *
+ * Subclasses name their file with `sceneFile`; pages can also pass
+ * data-scene-src (a URL) or data-scene-spec (inline JSON):
+ *
+ *   <div data-scene="ProjectAnimation" data-scene-src="scenes/new-project.json"></div>
+ */
+class ProjectAnimation extends BaseScene {
     constructor(container, options = {}) {
-        this.container = typeof container === 'string'
-            ? document.querySelector(container)
-            : container;
+        super(container, options);
 
         if (!this.container) return;
 
-        this.options = {
-            color: options.color || 0x4f46e5,
-            ...options
-        };
-
-        this.mouse = { x: 0, y: 0 };
-        this.init();
+        // Camera settings from the page win over the scene file's
+        this.pageOptions = options;
+        this.objects = {};
+        this.animated = [];
+        // Scattered point clouds, thinned out at lower quality tiers
+        this.particles = [];
+        // Input values by name, kept until the scene is built
+        this.inputs = {};
+
+        // Nothing else may be holding this promise, so report its failure here
+        this.init().catch(error => console.warn(error));
     }
 
-    init() {
-        this.scene = new THREE.Scene();
+    load() {
+        if (this.options.spec) {
+            this.useSpec(this.options.spec);
+            return;
+        }
 
-        const aspect = this.container.clientWidth / this.container.clientHeight;
-        this.camera = new THREE.PerspectiveCamera(50, aspect, 0.1, 1000);
-        this.camera.position.z = 5;
+        const file = this.options.src
+            ? new URL(this.options.src, document.baseURI)
+            : this.constructor.sceneFile && new URL(this.constructor.sceneFile, ProjectAnimation.sceneBase);
 
-        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.container.appendChild(this.renderer.domElement);
+        if (!file) {
+            return Promise.reject(new Error(`${this.constructor.name}: no scene file; pass src or spec`));
+        }
+        return ProjectAnimation.fetchSpec(file.href).then(spec => this.useSpec(spec));
+    }
 
-        window.addEventListener('resize', () => this.onResize());
-        window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+    // Scenes on one page often share a file; fetch each file once
+    static fetchSpec(url) {
+        if (!ProjectAnimation.specs.has(url)) {
+            const request = fetch(url).then(response => {
+                if (!response.ok) {
+                    throw new Error(`ProjectAnimation: could not load ${url} (${response.status})`);
+                }
+                return response.json();
+            });
+            request.catch(() => ProjectAnimation.specs.delete(url));
+            ProjectAnimation.specs.set(url, request);
+        }
+        return ProjectAnimation.specs.get(url);
+    }
 
-        this.createGeometry();
-        this.animate();
+    // The data file the scene file names under `key`, e.g. "replay"; null if
+    // there is none, the page turned it off (data-scene-<key>="false") or it
+    // fails to load, so the scene still plays without it
+    loadData(key) {
+        const section = this.spec[key];
+        if (!section || !section.src || this.options[key] === false) return Promise.resolve(null);
+
+        return ProjectAnimation.fetchSpec(new URL(section.src, ProjectAnimation.sceneBase).href)
+            .catch(error => {
+                console.warn(`${error.message}; playing without it`);
+                return null;
+            });
+    }
+
+    useSpec(spec) {
+        this.spec = spec;
+
+        const camera = spec.camera || {};
+        if (camera.fov !== undefined && this.pageOptions.fov === undefined) {
+            this.options.fov = camera.fov;
+        }
+        if (camera.distance !== undefined && this.pageOptions.cameraDistance === undefined) {
+            this.options.cameraDistance = camera.distance;
+        }
     }
 
     createGeometry() {
-        // Override in subclasses
+        (this.spec.objects || []).forEach(entry => this.build(entry));
+        Object.keys(this.inputs).forEach(name => this.applyInput(name));
+    }
+
+    bindEvents() {
+        if (!this.options.mouseInfluence) return;
+        this.enableInput();
+        this.orbit = { x: 0, y: 0 };
+    }
+
+    build(entry) {
+        const geometry = this.createShape(entry);
+
+        const built = this.copies(entry).map(copy => {
+            const object = this.createObject(entry, geometry);
+
+            object.position.fromArray(entry.position || [0, 0, 0]).add(copy.position);
+            object.rotation.setFromVector3(
+                new THREE.Vector3().fromArray(entry.rotation || [0, 0, 0]).add(copy.rotation)
+            );
+            object.scale.copy(ProjectAnimation.vector(entry.scale, 1));
+
+            object.userData.shift = copy.shift;
+            object.userData.behaviors = (entry.behaviors || []).map(behavior => {
+                const live = { ...behavior };
+                Object.keys(copy.shift).forEach(field => {
+                    live[field] = (live[field] || 0) + copy.shift[field];
+                });
+                return live;
+            });
+            if (object.userData.behaviors.length > 0) this.animated.push(object);
+
+            // A zero-length step puts orbiting and flowing objects in place
+            // for the first frame
+            this.runBehaviors(object, 0);
+
+            this.scene.add(object);
+            return object;
+        });
+
+        if (entry.id) this.objects[entry.id] = built;
+        return built;
     }
 
-    onResize() {
-        const width = this.container.clientWidth;
-        const height = this.container.clientHeight;
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(width, height);
+    createShape(entry) {
+        const type = entry.type || 'mesh';
+
+        if (type === 'mesh') {
+            const shape = (entry.geometry || {}).type || '';
+            const name = `${shape.charAt(0).toUpperCase()}${shape.slice(1)}Geometry`;
+            if (!shape || typeof THREE[name] !== 'function') {
+                throw new Error(`ProjectAnimation: unknown geometry "${shape}"`);
+            }
+            return new THREE[name](...(entry.geometry.args || []));
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        if (type === 'points' && !entry.points) {
+            const size = entry.scatter || [1, 1, 1];
+            const positions = new Float32Array((entry.count || 0) * 3);
+            for (let i = 0; i < positions.length; i++) {
+                positions[i] = (Math.random() - 0.5) * size[i % 3];
+            }
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            this.particles.push(geometry);
+            this.thin(geometry);
+            return geometry;
+        }
+
+        return geometry.setFromPoints((entry.points || []).map(point => new THREE.Vector3().fromArray(point)));
     }
 
-    onMouseMove(event) {
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    // The points are random, so drawing the first part of them is an even sample
+    thin(geometry) {
+        const count = geometry.attributes.position.count;
+        geometry.setDrawRange(0, Math.round(count * this.quality.pointScale));
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        this.update();
-        this.renderer.render(this.scene, this.camera);
+    applyQuality() {
+        this.particles.forEach(geometry => this.thin(geometry));
     }
 
-    update() {
-        // Override in subclasses
+    createObject(entry, geometry) {
+        const spec = entry.material || {};
+        const settings = { color: this.options.color };
+        if (spec.opacity !== undefined) {
+            settings.transparent = true;
+            settings.opacity = spec.opacity;
+        }
+
+        switch (entry.type || 'mesh') {
+            case 'mesh':
+                return new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                    ...settings,
+                    wireframe: !!spec.wireframe
+                }));
+            case 'points':
+                return new THREE.Points(geometry, new THREE.PointsMaterial({
+                    ...settings,
+                    size: spec.size || 0.05
+                }));
+            case 'line':
+                return new THREE.Line(geometry, new THREE.LineBasicMaterial(settings));
+            case 'segments':
+                return new THREE.LineSegments(geometry, new THREE.LineBasicMaterial(settings));
+            default:
+                throw new Error(`ProjectAnimation: unknown object type "${entry.type}"`);
+        }
+    }
+
+    // Offsets for each copy made by `repeat`; one copy without it
+    copies(entry) {
+        const repeat = entry.repeat || {};
+        const step = repeat.step || {};
+        const count = repeat.positions ? repeat.positions.length : repeat.count || 1;
+        const copies = [];
+
+        for (let i = 0; i < count; i++) {
+            const position = ProjectAnimation.vector(step.position, 0).multiplyScalar(i);
+            if (repeat.positions) {
+                position.add(new THREE.Vector3().fromArray(repeat.positions[i]));
+            } else if (repeat.circle) {
+                const angle = (i / count) * Math.PI * 2;
+                position.x += Math.cos(angle) * repeat.circle;
+                position.y += Math.sin(angle) * repeat.circle;
+            }
+
+            const shift = {};
+            Object.keys(step).forEach(field => {
+                if (field !== 'position' && field !== 'rotation') shift[field] = step[field] * i;
+            });
+
+            copies.push({
+                position,
+                rotation: ProjectAnimation.vector(step.rotation, 0).multiplyScalar(i),
+                shift
+            });
+        }
+
+        return copies;
+    }
+
+    // [x, y, z], or one number for all three
+    static vector(value, fallback) {
+        if (Array.isArray(value)) return new THREE.Vector3().fromArray(value);
+        const scalar = typeof value === 'number' ? value : fallback;
+        return new THREE.Vector3(scalar, scalar, scalar);
+    }
+
+    setInput(name, value) {
+        this.inputs[name] = value;
+        if (this.spec && this.scene) this.applyInput(name);
+    }
+
+    applyInput(name) {
+        const input = (this.spec.inputs || {})[name];
+        const value = this.inputs[name];
+        if (!input || typeof value !== 'number') return;
+
+        const [from, to] = input.domain || [0, 1];
+        const t = to !== from ? Math.min(1, Math.max(0, (value - from) / (to - from))) : 0;
+
+        (input.targets || []).forEach(target => {
+            const [low, high] = target.range || [0, 1];
+            this.applyTarget(target, low + (high - low) * t);
+        });
+    }
+
+    // Subclasses can take targets of their own and pass the rest on
+    applyTarget(target, value) {
+        (this.objects[target.object] || []).forEach(object => {
+            object.userData.behaviors.forEach(behavior => {
+                if (behavior.type !== target.behavior) return;
+                behavior[target.field] = value + (object.userData.shift[target.field] || 0);
+            });
+        });
+    }
+
+    update(delta) {
+        this.animated.forEach(object => this.runBehaviors(object, delta));
+        if (this.input) this.orbitCamera(delta);
+    }
+
+    // The camera moves rather than the scene, so world positions (edges,
+    // labels) stay put
+    orbitCamera(delta) {
+        const pointer = this.input.position;
+        const influence = this.options.mouseInfluence;
+        const ease = BaseScene.damp(3, delta);
+        this.orbit.x += (pointer.y * influence - this.orbit.x) * ease;
+        this.orbit.y += (pointer.x * influence - this.orbit.y) * ease;
+
+        const distance = this.options.cameraDistance;
+        this.camera.position.set(
+            Math.sin(this.orbit.y) * Math.cos(this.orbit.x) * distance,
+            Math.sin(this.orbit.x) * distance,
+            Math.cos(this.orbit.y) * Math.cos(this.orbit.x) * distance
+        );
+        this.camera.lookAt(0, 0, 0);
+    }
+
+    runBehaviors(object, delta) {
+        object.userData.behaviors.forEach(behavior => {
+            const run = ProjectAnimation.behaviors[behavior.type];
+            if (run) run(object, behavior, delta);
+        });
+    }
+
+    // Every project scene is drawn in its single theme color
+    applyColors() {
+        this.scene.traverse(object => {
+            if (object.material && object.material.color) {
+                object.material.color.setHex(this.options.color);
+            }
+        });
+    }
+
+    // The panel after the scene's element that holds captions and controls;
+    // null unless the page passed data-scene-controls
+    createPanel() {
+        if (!this.options.controls) return null;
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.className = 'scene-panel';
+            this.container.insertAdjacentElement('afterend', this.panel);
+        }
+        return this.panel;
+    }
+
+    // Play/pause button, scrubber and clock; the scene keeps them in sync
+    // and gets seek(fraction) and toggle() back from them
+    createTimeline(panel, label, { seek, toggle }) {
+        const timeline = document.createElement('div');
+        timeline.className = 'scene-timeline';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'scene-button';
+        button.addEventListener('click', toggle);
+
+        const range = document.createElement('input');
+        range.type = 'range';
+        range.min = '0';
+        range.max = '1000';
+        range.value = '0';
+        range.setAttribute('aria-label', label);
+        range.addEventListener('input', () => seek(range.value / 1000));
+
+        const clock = document.createElement('span');
+        clock.className = 'scene-time';
+
+        timeline.append(button, range, clock);
+        panel.appendChild(timeline);
+        return { button, range, clock };
+    }
+
+    // Draw a change made while the loop is stopped (paused, reduced motion)
+    refresh() {
+        if (this.renderer && !this.running) this.render();
+    }
+
+    destroy() {
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        super.destroy();
     }
 }
 
-// Geo-Insight: Particle Vision Field
+// The page theme's accent, so each project picks its own color
+ProjectAnimation.themeColors = {
+    color: ['--color-accent', 0x4f46e5]
+};
+
+// Share of each scattered point cloud drawn
+ProjectAnimation.quality = {
+    low: { pointScale: 0.4 },
+    medium: { pointScale: 0.7 },
+    high: { pointScale: 1 }
+};
+
+// Built-in scene files sit in scenes/ beside js/, whatever the page's path
+ProjectAnimation.sceneBase = new URL('../scenes/',
+    document.currentScript ? document.currentScript.src : window.location.href);
+
+ProjectAnimation.specs = new Map();
+
+/**
+ * Behaviors - (object, behavior, delta) => void, keyed by "type"
+ * Each copy gets its own behavior objects, so they can hold state.
+ * Add entries here to make new types available to scene files.
+ */
+ProjectAnimation.behaviors = {
+    rotate(object, behavior, delta) {
+        const speed = ProjectAnimation.vector(behavior.speed, 0);
+        object.rotation.x += speed.x * delta;
+        object.rotation.y += speed.y * delta;
+        object.rotation.z += speed.z * delta;
+    },
+
+    orbit(object, behavior, delta) {
+        behavior.angle = (behavior.angle || 0) + (behavior.speed || 0) * delta;
+        const angle = behavior.angle + (behavior.phase || 0);
+        const radius = behavior.radius !== undefined ? behavior.radius : 1;
+        const [a, b] = { x: ['y', 'z'], y: ['x', 'z'], z: ['x', 'y'] }[behavior.axis || 'y'];
+        object.position[a] = Math.cos(angle) * radius;
+        object.position[b] = Math.sin(angle) * radius;
+    },
+
+    // Starts halfway and grows; speed is in scale units per second
+    pulse(object, behavior, delta) {
+        const min = behavior.min !== undefined ? behavior.min : 0.9;
+        const max = behavior.max !== undefined ? behavior.max : 1.1;
+        if (behavior.value === undefined) {
+            behavior.value = (min + max) / 2;
+            behavior.direction = 1;
+            behavior.baseScale = object.scale.clone();
+        }
+
+        behavior.value += (behavior.speed || 0) * delta * behavior.direction;
+        if (behavior.value > max || behavior.value < min) {
+            behavior.value = Math.min(max, Math.max(min, behavior.value));
+            behavior.direction *= -1;
+        }
+        object.scale.copy(behavior.baseScale).multiplyScalar(behavior.value);
+    },
+
+    // `offset` is the starting distance along the path
+    flow(object, behavior, delta) {
+        if (!behavior.lengths) {
+            behavior.points = behavior.path.map(point => new THREE.Vector3().fromArray(point));
+            behavior.lengths = behavior.points.slice(1).map((point, i) => point.distanceTo(behavior.points[i]));
+            behavior.total = behavior.lengths.reduce((sum, length) => sum + length, 0);
+            behavior.distance = behavior.offset || 0;
+        }
+        if (!behavior.total) return;
+
+        behavior.distance = (behavior.distance + (behavior.speed || 0) * delta) % behavior.total;
+        if (behavior.distance < 0) behavior.distance += behavior.total;
+
+        let remaining = behavior.distance;
+        let i = 0;
+        while (i < behavior.lengths.length - 1 && remaining > behavior.lengths[i]) {
+            remaining -= behavior.lengths[i];
+            i++;
+        }
+        const t = behavior.lengths[i] > 0 ? remaining / behavior.lengths[i] : 0;
+        object.position.lerpVectors(behavior.points[i], behavior.points[i + 1], t);
+    },
+
+    wave(object, behavior, delta) {
+        const path = (behavior.property || 'material.opacity').split('.');
+        const key = path.pop();
+        const target = path.reduce((value, part) => value && value[part], object);
+        if (!target) return;
+
+        if (behavior.start === undefined) behavior.start = target[key];
+        behavior.angle = (behavior.angle || 0) + (behavior.speed !== undefined ? behavior.speed : 1) * delta;
+        target[key] = behavior.start +
+            Math.sin(behavior.angle + (behavior.phase || 0)) * (behavior.amplitude || 0);
+    }
+};
+
+/**
+ * Geo-Insight: Particle Vision Field
+ * Replays recorded YOLOv8 detections over the camera frame. Each tracked
+ * detection is a box tagged "label confidence" that fades in when it
+ * appears, follows its track between recorded frames and fades out when it
+ * is lost. The scene file's "replay" names the recording (relative to
+ * scenes/), the frame's size in scene units, the fade time in seconds and
+ * the label height:
+ *
+ *   "replay": { "src": "../data/replays/ppe-detections.json", "frame": [5, 2.8], "fade": 0.3 }
+ *
+ * A recording gives its source "width" and "height" and a list of frames,
+ * { time, detections: [{ id, label, confidence, box: [x, y, w, h] }] }, with
+ * boxes in source pixels from the top left. Detections sharing an id form
+ * one track. data-scene-replay="false" leaves just the particle field.
+ */
 class ParticleField extends ProjectAnimation {
+    load() {
+        return Promise.resolve(super.load())
+            .then(() => this.loadData('replay'))
+            .then(recording => {
+                this.recording = recording;
+            });
+    }
+
     createGeometry() {
-        const particles = 500;
-        const positions = new Float32Array(particles * 3);
+        super.createGeometry();
+        if (!this.recording) return;
+
+        const frames = this.recording.frames || [];
+        const last = frames.length > 0 ? frames[frames.length - 1].time : 0;
+        this.replayDuration = this.recording.duration || last + 1 / (this.recording.fps || 10);
+        this.replayTime = 0;
+        this.tracks = ParticleField.tracks(frames);
+
+        // Boxes tilt with the frame outline when the scene has one
+        this.detections = new THREE.Group();
+        ((this.objects.frame || [])[0] || this.scene).add(this.detections);
+        this.updateDetections();
+    }
 
-        for (let i = 0; i < particles * 3; i += 3) {
-            positions[i] = (Math.random() - 0.5) * 8;
-            positions[i + 1] = (Math.random() - 0.5) * 6;
-            positions[i + 2] = (Math.random() - 0.5) * 4;
-        }
+    // Samples grouped by detection id, in time order
+    static tracks(frames) {
+        const tracks = new Map();
+        frames.forEach(frame => {
+            (frame.detections || []).forEach(detection => {
+                if (!tracks.has(detection.id)) tracks.set(detection.id, { samples: [], view: null });
+                tracks.get(detection.id).samples.push({ ...detection, time: frame.time });
+            });
+        });
 
-        const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        return [...tracks.values()].map(track => {
+            track.samples.sort((a, b) => a.time - b.time);
+            track.start = track.samples[0].time;
+            track.end = track.samples[track.samples.length - 1].time;
+            return track;
+        });
+    }
 
-        const material = new THREE.PointsMaterial({
-            color: this.options.color,
-            size: 0.05,
-            transparent: true,
-            opacity: 0.8
+    // The track's box at `time`, interpolated between its recorded frames,
+    // and how far it has faded in or out; null while it is off screen
+    static trackState(track, time, fade) {
+        if (time < track.start || time > track.end + fade) return null;
+
+        const { samples } = track;
+        let i = 0;
+        while (i < samples.length - 1 && samples[i + 1].time <= time) i++;
+        const from = samples[i];
+        const to = samples[Math.min(i + 1, samples.length - 1)];
+        const t = to.time > from.time ? Math.min(1, (time - from.time) / (to.time - from.time)) : 0;
+
+        const fadeIn = fade > 0 ? Math.min(1, (time - track.start) / fade) : 1;
+        const fadeOut = fade > 0 ? Math.max(0, 1 - (time - track.end) / fade) : 1;
+
+        return {
+            box: from.box.map((value, k) => value + (to.box[k] - value) * t),
+            label: from.label,
+            confidence: from.confidence,
+            opacity: Math.min(fadeIn, fadeOut, 1)
+        };
+    }
+
+    updateDetections() {
+        const fade = this.spec.replay.fade !== undefined ? this.spec.replay.fade : 0.3;
+
+        this.tracks.forEach(track => {
+            const state = ParticleField.trackState(track, this.replayTime, fade);
+            if (!state) {
+                if (track.view) track.view.visible = false;
+                return;
+            }
+            if (!track.view) track.view = this.createDetection();
+            this.placeDetection(track.view, state);
         });
+    }
 
-        this.particles = new THREE.Points(geometry, material);
-        this.scene.add(this.particles);
+    createDetection() {
+        const view = new THREE.Group();
+
+        // A unit square, scaled to each box
+        const outline = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5], [-0.5, -0.5]]
+                .map(([x, y]) => new THREE.Vector3(x, y, 0))),
+            new THREE.LineBasicMaterial({ color: this.options.color, transparent: true })
+        );
+        view.add(outline);
+        view.userData.outline = outline;
+
+        const label = this.createLabel();
+        if (label) {
+            view.add(label);
+            view.userData.label = label;
+        }
+
+        this.detections.add(view);
+        return view;
+    }
 
-        // Detection box wireframe
-        const boxGeometry = new THREE.BoxGeometry(3, 2.5, 0.1);
-        const boxMaterial = new THREE.MeshBasicMaterial({
+    // White text on a canvas texture; the material color tints it to the theme
+    createLabel() {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext && canvas.getContext('2d');
+        if (!context) return null;
+
+        canvas.width = 384;
+        canvas.height = 64;
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
             color: this.options.color,
-            wireframe: true,
             transparent: true,
-            opacity: 0.5
-        });
-        this.box = new THREE.Mesh(boxGeometry, boxMaterial);
-        this.scene.add(this.box);
+            depthTest: false
+        }));
+        sprite.userData.context = context;
+        return sprite;
+    }
+
+    drawLabel(sprite, text) {
+        if (sprite.userData.text === text) return;
+        sprite.userData.text = text;
+
+        const { context } = sprite.userData;
+        const { width, height } = context.canvas;
+        context.clearRect(0, 0, width, height);
+        context.font = '600 36px monospace';
+        context.textBaseline = 'middle';
+        context.fillStyle = '#ffffff';
+        context.fillText(text, 4, height / 2, width - 8);
+        sprite.material.map.needsUpdate = true;
+    }
+
+    placeDetection(view, state) {
+        const replay = this.spec.replay;
+        const [frameWidth, frameHeight] = replay.frame || [5, 2.8125];
+        const scaleX = frameWidth / this.recording.width;
+        const scaleY = frameHeight / this.recording.height;
+
+        const [x, y, w, h] = state.box;
+        const width = w * scaleX;
+        const height = h * scaleY;
+        const left = -frameWidth / 2 + x * scaleX;
+        const top = frameHeight / 2 - y * scaleY;
+
+        view.visible = true;
+        const { outline, label } = view.userData;
+        outline.position.set(left + width / 2, top - height / 2, 0);
+        outline.scale.set(width, height, 1);
+        outline.material.opacity = state.opacity;
+
+        if (label) {
+            // Sits on the box's top edge, starting at its left side
+            const labelHeight = replay.labelHeight || 0.18;
+            this.drawLabel(label, `${state.label} ${state.confidence.toFixed(2)}`);
+            label.scale.set(labelHeight * 6, labelHeight, 1);
+            label.position.set(left + labelHeight * 3, top + labelHeight * 0.5, 0);
+            label.material.opacity = state.opacity;
+        }
     }
 
-    update() {
-        this.particles.rotation.y += 0.001;
-        this.box.rotation.y = Math.sin(Date.now() * 0.001) * 0.2;
-        this.box.rotation.x = Math.cos(Date.now() * 0.0015) * 0.1;
+    update(delta) {
+        super.update(delta);
+        if (!this.tracks) return;
+
+        this.replayTime = (this.replayTime + delta) % this.replayDuration;
+        this.updateDetections();
+    }
+
+    destroy() {
+        if (this.detections) {
+            this.detections.traverse(object => {
+                if (object.material && object.material.map) object.material.map.dispose();
+            });
+        }
+        super.destroy();
     }
 }
+ParticleField.sceneFile = 'particle-field.json';
 
-// Predictive Maintenance: Pulsing Machinery Mesh
+/**
+ * Predictive Maintenance: Pulsing Machinery Mesh
+ * Replays a turbofan engine's sensor readings, one row per operating cycle,
+ * from a CSV file (a header row of column names) or a JSON list of rows.
+ * The scene file says which columns drive the "gears":
+ *   speed   scales each gear's spin
+ *   jitter  shakes the gears by up to that distance
+ *   rul     predicted remaining useful life; the gears shift from the
+ *           theme color at the top of its domain to the fail color at the
+ *           bottom
+ * Each maps its "domain" (clamped) onto its "range" the way inputs do. The
+ * readings play over "duration" seconds, hold for "hold" and loop:
+ *
+ *   "sensors": { "src": "../data/sensors/turbofan-engine-07.csv", "duration": 20, "hold": 2,
+ *                "gears": ["mainGear"],
+ *                "speed": { "column": "Nc", "label": "Core speed", "unit": "rpm",
+ *                           "domain": [9040, 9090], "range": [0.6, 2.2] }, ... }
+ *
+ * With data-scene-controls the page also gets the current readings as a
+ * caption, a sparkline of the "sparkline" column and a play/scrub control.
+ */
 class MachineryMesh extends ProjectAnimation {
+    load() {
+        return Promise.resolve(super.load()).then(() => {
+            const sensors = this.spec.sensors;
+            if (!sensors || !sensors.src || this.options.sensors === false) return null;
+
+            // CSV is text, so this cannot go through loadData()
+            const url = new URL(sensors.src, ProjectAnimation.sceneBase).href;
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`MachineryMesh: could not load ${url} (${response.status})`);
+                    return response.text();
+                })
+                .then(text => {
+                    this.readings = MachineryMesh.parseReadings(text);
+                })
+                .catch(error => console.warn(`${error.message}; playing without it`));
+        });
+    }
+
+    // Rows of numbers keyed by column, from CSV or JSON
+    static parseReadings(text) {
+        if (/^\s*[[{]/.test(text)) {
+            const data = JSON.parse(text);
+            return Array.isArray(data) ? data : data.rows || [];
+        }
+
+        const [header, ...lines] = text.trim().split(/\r?\n/);
+        const columns = header.split(',').map(column => column.trim());
+        return lines.filter(line => line.trim() !== '').map(line => {
+            const values = line.split(',');
+            const row = {};
+            columns.forEach((column, i) => {
+                row[column] = Number(values[i]);
+            });
+            return row;
+        });
+    }
+
     createGeometry() {
-        // Central gear
-        const torusGeometry = new THREE.TorusGeometry(1, 0.3, 8, 20);
-        const material = new THREE.MeshBasicMaterial({
-            color: this.options.color,
-            wireframe: true
+        super.createGeometry();
+
+        const sensors = this.spec.sensors;
+        if (!this.readings || this.readings.length < 2) {
+            this.readings = null;
+            return;
+        }
+
+        this.gears = (sensors.gears || []).flatMap(id => this.objects[id] || []);
+        this.gears.forEach(gear => {
+            gear.userData.home = gear.position.clone();
+            gear.userData.behaviors.forEach(behavior => {
+                if (behavior.type === 'rotate') behavior.baseSpeed = ProjectAnimation.vector(behavior.speed, 0);
+            });
         });
 
-        this.gear1 = new THREE.Mesh(torusGeometry, material);
-        this.scene.add(this.gear1);
+        this.sensorLength = (sensors.duration || 20) + (sensors.hold || 0);
+        this.sensorTime = 0;
+        this.rowIndex = -1;
+        this.wear = 0;
+        this.playing = true;
+        this.createSensorControls();
+        this.updateSensors(0);
+    }
 
-        // Secondary gear
-        const gear2Geometry = new THREE.TorusGeometry(0.6, 0.2, 8, 16);
-        this.gear2 = new THREE.Mesh(gear2Geometry, material.clone());
-        this.gear2.position.x = 2;
-        this.scene.add(this.gear2);
+    createSensorControls() {
+        const panel = this.createPanel();
+        if (!panel) return;
+
+        this.caption = document.createElement('p');
+        this.caption.className = 'scene-caption';
+
+        this.sparkline = document.createElement('canvas');
+        this.sparkline.className = 'scene-chart scene-sparkline';
+        this.sparkline.setAttribute('role', 'img');
+        const column = this.spec.sensors.sparkline;
+        const field = ['speed', 'jitter', 'rul'].map(key => this.spec.sensors[key]).find(entry => entry && entry.column === column);
+        this.sparkline.setAttribute('aria-label', `${field && field.label || column} over the engine's life`);
+
+        panel.append(this.caption, this.sparkline);
+
+        // Scrubbing pauses playback so the cycle under the thumb stays put
+        this.controls = this.createTimeline(panel, 'Sensor replay position', {
+            seek: fraction => {
+                this.setPlaying(false);
+                this.sensorTime = fraction * this.sensorLength;
+                this.updateSensors(0);
+                this.refresh();
+            },
+            toggle: () => this.setPlaying(!this.playing)
+        });
+        this.setPlaying(this.playing);
+    }
 
-        // Connecting lines
-        const points = [
-            new THREE.Vector3(-2, 0, 0),
-            new THREE.Vector3(2, 0, 0)
-        ];
-        const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
-        const lineMaterial = new THREE.LineBasicMaterial({
-            color: this.options.color,
-            transparent: true,
-            opacity: 0.5
+    setPlaying(playing) {
+        this.playing = playing;
+        if (this.controls) this.controls.button.textContent = playing ? 'Pause' : 'Play';
+    }
+
+    // Readings blended between the two rows either side of the play time;
+    // `position` is the fractional row index
+    reading() {
+        const duration = this.spec.sensors.duration || 20;
+        const position = Math.min(1, this.sensorTime / duration) * (this.readings.length - 1);
+        const before = this.readings[Math.floor(position)];
+        const after = this.readings[Math.ceil(position)];
+        const t = position - Math.floor(position);
+
+        const reading = { position };
+        Object.keys(before).forEach(column => {
+            reading[column] = before[column] + (after[column] - before[column]) * t;
+        });
+        return reading;
+    }
+
+    // A column's value mapped from `domain` onto `range`; null without it
+    static map(reading, field) {
+        if (!field || typeof reading[field.column] !== 'number') return null;
+        const [from, to] = field.domain || [0, 1];
+        const [low, high] = field.range || [0, 1];
+        const t = to !== from ? Math.min(1, Math.max(0, (reading[field.column] - from) / (to - from))) : 0;
+        return low + (high - low) * t;
+    }
+
+    updateSensors(delta) {
+        const { speed, jitter, rul } = this.spec.sensors;
+        const reading = this.reading();
+
+        const spin = MachineryMesh.map(reading, speed);
+        const shake = delta > 0 ? MachineryMesh.map(reading, jitter) || 0 : 0;
+        this.gears.forEach(gear => {
+            gear.userData.behaviors.forEach(behavior => {
+                if (behavior.baseSpeed && spin !== null) behavior.speed = behavior.baseSpeed.clone().multiplyScalar(spin).toArray();
+            });
+            gear.position.set(
+                gear.userData.home.x + (Math.random() - 0.5) * 2 * shake,
+                gear.userData.home.y + (Math.random() - 0.5) * 2 * shake,
+                gear.userData.home.z
+            );
         });
-        this.line = new THREE.Line(lineGeometry, lineMaterial);
-        this.scene.add(this.line);
 
-        // Pulse indicator
-        this.pulseScale = 1;
-        this.pulseDirection = 1;
+        // Full life keeps the theme color; none left is all fail color
+        const life = MachineryMesh.map(reading, rul && { ...rul, range: [0, 1] });
+        this.wear = life !== null ? 1 - life : 0;
+        this.paint();
+
+        if (this.controls) this.updateControls(reading);
     }
 
-    update() {
-        this.gear1.rotation.z += 0.01;
-        this.gear2.rotation.z -= 0.015;
+    paint() {
+        const color = new THREE.Color(this.options.color).lerp(new THREE.Color(this.options.failColor), this.wear);
+        this.gears.forEach(gear => gear.material.color.copy(color));
+    }
 
-        // Pulsing effect
-        this.pulseScale += 0.005 * this.pulseDirection;
-        if (this.pulseScale > 1.1 || this.pulseScale < 0.9) {
-            this.pulseDirection *= -1;
+    updateControls(reading) {
+        const row = Math.round(reading.position);
+        if (row !== this.rowIndex) {
+            this.rowIndex = row;
+            this.showReading(this.readings[row]);
+            this.drawSparkline();
         }
-        this.gear1.scale.setScalar(this.pulseScale);
+
+        const { range, clock } = this.controls;
+        const last = this.readings[this.readings.length - 1];
+        range.value = String(Math.round((this.sensorTime / this.sensorLength) * 1000));
+        clock.textContent = `${this.readings[row].cycle || row + 1}/${last.cycle || this.readings.length}`;
+    }
+
+    showReading(row) {
+        const { speed, jitter, rul } = this.spec.sensors;
+        // Small readings keep two decimals, large ones none
+        const value = field => {
+            const number = row[field.column];
+            const text = number.toLocaleString('en-US', { maximumFractionDigits: Math.abs(number) < 10 ? 2 : 0 });
+            return [field.label || field.column, text, field.unit].filter(Boolean).join(' ');
+        };
+
+        const heading = document.createElement('strong');
+        const cycle = row.cycle !== undefined ? `Cycle ${row.cycle}` : `Row ${this.rowIndex + 1}`;
+        heading.textContent = rul && typeof row[rul.column] === 'number' ? `${cycle} · ${value(rul)}` : cycle;
+
+        const readings = [speed, jitter].filter(field => field && typeof row[field.column] === 'number').map(value);
+        this.caption.replaceChildren(heading, document.createTextNode(readings.join(' · ')));
+    }
+
+    // The whole series muted, what has played in the accent color, and a
+    // dot at the current row
+    drawSparkline() {
+        const canvas = this.sparkline;
+        const column = this.spec.sensors.sparkline;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const context = column && width && height ? canvas.getContext('2d') : null;
+        if (!context) return;
+
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        const values = this.readings.map(row => row[column]);
+        const min = Math.min(...values);
+        const span = Math.max(...values) - min || 1;
+        const pad = 3;
+        const x = i => pad + (i / (values.length - 1)) * (width - pad * 2);
+        const y = i => height - pad - ((values[i] - min) / span) * (height - pad * 2);
+        const trace = (from, to) => {
+            context.beginPath();
+            for (let i = from; i <= to; i++) {
+                if (i === from) context.moveTo(x(i), y(i));
+                else context.lineTo(x(i), y(i));
+            }
+            context.stroke();
+        };
+
+        const style = getComputedStyle(canvas);
+        const accent = style.getPropertyValue('--color-accent').trim() || '#4f46e5';
+        context.lineWidth = 1.5;
+        context.strokeStyle = style.getPropertyValue('--color-border').trim() || '#dddddd';
+        trace(0, values.length - 1);
+        context.strokeStyle = accent;
+        trace(0, this.rowIndex);
+
+        context.fillStyle = accent;
+        context.beginPath();
+        context.arc(x(this.rowIndex), y(this.rowIndex), pad, 0, Math.PI * 2);
+        context.fill();
+    }
+
+    applyColors() {
+        super.applyColors();
+        if (!this.readings || !this.gears) return;
+        this.paint();
+        if (this.controls) this.drawSparkline();
+    }
+
+    update(delta) {
+        super.update(delta);
+        if (!this.readings) return;
+
+        if (this.playing) this.sensorTime = (this.sensorTime + delta) % this.sensorLength;
+        this.updateSensors(delta);
     }
 }
+MachineryMesh.sceneFile = 'machinery-mesh.json';
+MachineryMesh.themeColors = {
+    ...ProjectAnimation.themeColors,
+    failColor: ['--scene-fail', 0xef4444]
+};
 
-// Chat-with-Assets: Connected Document Nodes
+/**
+ * Chat-with-Assets: Connected Document Nodes
+ * Walks through retrieval over a fixture of document chunks. Each document
+ * box holds its chunks as plates; asking a question lights every chunk by
+ * its similarity score and grows edges from the query node to the top k.
+ * With data-scene-controls the canned questions become buttons and the
+ * answer and its citations show beside the scene; without them the scene
+ * moves on to the next question every "cycle" seconds.
+ *
+ *   "retrieval": { "src": "../data/retrieval/drilling-manuals.json", "cycle": 6 }
+ *
+ * The fixture lists "documents" ({ id, title }, one per box in order),
+ * "chunks" ({ id, document, page, text }) and "questions" ({ id, text,
+ * answer, citations: [chunk id], scores: { chunk id: similarity } }), and
+ * how many chunks are retrieved as "k".
+ */
 class DocumentNodes extends ProjectAnimation {
+    load() {
+        return Promise.resolve(super.load())
+            .then(() => this.loadData('retrieval'))
+            .then(corpus => {
+                this.corpus = corpus;
+            });
+    }
+
     createGeometry() {
-        this.nodes = [];
-        const nodePositions = [
-            { x: 0, y: 1.5, z: 0 },
-            { x: -1.5, y: 0, z: 0.5 },
-            { x: 1.5, y: 0, z: -0.5 },
-            { x: -0.8, y: -1.2, z: 0 },
-            { x: 0.8, y: -1.2, z: 0 }
-        ];
-
-        const boxGeometry = new THREE.BoxGeometry(0.6, 0.8, 0.1);
-        const material = new THREE.MeshBasicMaterial({
-            color: this.options.color,
-            wireframe: true
+        super.createGeometry();
+
+        const boxes = this.objects.documents || [];
+        this.chunks = this.corpus && boxes.length > 0 ? this.createChunks(boxes) : null;
+        if (!this.chunks || this.chunks.length === 0) {
+            this.chunks = null;
+            return;
+        }
+
+        this.k = this.corpus.k || 3;
+        this.edges = new THREE.LineSegments(
+            new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.k * 6), 3)),
+            new THREE.LineBasicMaterial({ color: this.options.color, transparent: true, opacity: 0.8 })
+        );
+        // Its vertices move every frame, so its bounds are never current
+        this.edges.frustumCulled = false;
+        this.scene.add(this.edges);
+
+        const links = (this.objects.links || [])[0];
+        this.linkOpacity = links ? links.material.opacity : 0;
+        this.queryScale = 0.001;
+        this.question = null;
+        this.retrieved = [];
+        this.asked = 0;
+        this.cycleTime = 0;
+
+        this.createRetrievalControls();
+        // Nobody to pick a question, so start the cycle
+        if (!this.choices) this.ask(0);
+        this.updateRetrieval(0);
+    }
+
+    // Plates stacked inside each document box, one per chunk
+    createChunks(boxes) {
+        const chunks = [];
+
+        (this.corpus.documents || []).forEach((source, i) => {
+            const box = boxes[i];
+            const own = (this.corpus.chunks || []).filter(chunk => chunk.document === source.id);
+            if (!box || own.length === 0) return;
+
+            const { width, height } = box.geometry.parameters;
+            const row = (height * 0.8) / own.length;
+            const geometry = new THREE.PlaneGeometry(width * 0.75, row * 0.6);
+
+            own.forEach((chunk, j) => {
+                const plate = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                    color: this.options.color,
+                    transparent: true,
+                    opacity: DocumentNodes.chunkOpacity.idle,
+                    side: THREE.DoubleSide
+                }));
+                plate.position.y = height * 0.4 - row * (j + 0.5);
+                box.add(plate);
+                chunks.push({ ...chunk, title: source.title, plate, target: DocumentNodes.chunkOpacity.idle });
+            });
         });
 
-        nodePositions.forEach(pos => {
-            const node = new THREE.Mesh(boxGeometry, material.clone());
-            node.position.set(pos.x, pos.y, pos.z);
-            this.nodes.push(node);
-            this.scene.add(node);
+        return chunks;
+    }
+
+    createRetrievalControls() {
+        const panel = this.createPanel();
+        if (!panel) return;
+
+        const choices = document.createElement('div');
+        choices.className = 'scene-choices';
+        choices.setAttribute('role', 'group');
+        choices.setAttribute('aria-label', 'Questions');
+        this.choices = (this.corpus.questions || []).map((question, i) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'scene-button';
+            button.textContent = question.text;
+            button.setAttribute('aria-pressed', 'false');
+            button.addEventListener('click', () => this.ask(i));
+            choices.appendChild(button);
+            return button;
         });
 
-        // Connect nodes with lines
-        const lineMaterial = new THREE.LineBasicMaterial({
-            color: this.options.color,
-            transparent: true,
-            opacity: 0.3
-        });
-
-        this.lines = [];
-        for (let i = 0; i < nodePositions.length; i++) {
-            for (let j = i + 1; j < nodePositions.length; j++) {
-                const points = [
-                    new THREE.Vector3(nodePositions[i].x, nodePositions[i].y, nodePositions[i].z),
-                    new THREE.Vector3(nodePositions[j].x, nodePositions[j].y, nodePositions[j].z)
-                ];
-                const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
-                const line = new THREE.Line(lineGeometry, lineMaterial);
-                this.lines.push(line);
-                this.scene.add(line);
-            }
+        this.caption = document.createElement('p');
+        this.caption.className = 'scene-caption';
+        this.caption.setAttribute('aria-live', 'polite');
+
+        this.citations = document.createElement('ol');
+        this.citations.className = 'scene-citations';
+
+        panel.append(choices, this.caption, this.citations);
+        this.showAnswer();
+    }
+
+    ask(index) {
+        const question = (this.corpus.questions || [])[index];
+        if (!question) return;
+
+        this.question = question;
+        this.questionIndex = index;
+        this.asked = 0;
+        this.cycleTime = 0;
+
+        const score = chunk => question.scores[chunk.id] || 0;
+        const scores = this.chunks.map(score);
+        const min = Math.min(...scores);
+        const range = Math.max(...scores) - min || 1;
+        this.retrieved = [...this.chunks].sort((a, b) => score(b) - score(a)).slice(0, this.k);
+
+        // Squared so only close matches stand out from the rest
+        const { idle, lit } = DocumentNodes.chunkOpacity;
+        this.chunks.forEach(chunk => {
+            const relative = (score(chunk) - min) / range;
+            chunk.target = this.retrieved.includes(chunk) ? 1 : idle + (lit - idle) * relative * relative;
+        });
+
+        this.showAnswer();
+
+        // Stopped scenes jump straight to the answer; during setup the scene
+        // isn't running yet, so only one that won't play is stopped
+        const stopped = this.started ? !this.running : MotionPreference.isPaused();
+        if (stopped) {
+            this.updateRetrieval(DocumentNodes.settleTime);
+            this.refresh();
+        }
+    }
+
+    showAnswer() {
+        if (!this.caption) return;
+
+        this.choices.forEach((button, i) => {
+            button.setAttribute('aria-pressed', String(i === this.questionIndex));
+        });
+
+        const heading = document.createElement('strong');
+        if (!this.question) {
+            heading.textContent = 'Pick a question';
+            this.caption.replaceChildren(heading, document.createTextNode(
+                `Chunks light up by similarity; the top ${this.k} are retrieved and cited in the answer.`
+            ));
+            this.citations.replaceChildren();
+            return;
         }
+
+        heading.textContent = this.question.text;
+        this.caption.replaceChildren(heading, document.createTextNode(this.question.answer || ''));
+
+        this.citations.replaceChildren(...(this.question.citations || []).map(id => {
+            const chunk = this.chunks.find(candidate => candidate.id === id);
+            const item = document.createElement('li');
+            if (!chunk) {
+                item.textContent = id;
+                return item;
+            }
+            const score = document.createElement('span');
+            score.className = 'scene-score';
+            score.textContent = (this.question.scores[id] || 0).toFixed(2);
+            item.append(`${chunk.title}, p. ${chunk.page} `, score);
+            item.title = chunk.text;
+            return item;
+        }));
     }
 
-    update() {
-        const time = Date.now() * 0.001;
-        this.nodes.forEach((node, i) => {
-            node.rotation.y = time + i * 0.5;
-            node.position.y += Math.sin(time + i) * 0.002;
+    updateRetrieval(delta) {
+        this.asked += delta;
+        const fade = BaseScene.damp(DocumentNodes.fadeRate, delta);
+
+        this.chunks.forEach(chunk => {
+            const { material } = chunk.plate;
+            material.opacity += (chunk.target - material.opacity) * fade;
         });
+
+        const query = (this.objects.query || [])[0];
+        this.queryScale += ((this.question ? 1 : 0.001) - this.queryScale) * fade;
+        if (query) query.scale.setScalar(this.queryScale);
+
+        // The full mesh of links recedes while a question is out
+        const links = (this.objects.links || [])[0];
+        if (links) {
+            const target = this.question ? this.linkOpacity / 3 : this.linkOpacity;
+            links.material.opacity += (target - links.material.opacity) * fade;
+        }
+
+        // Edges reach the retrieved chunks one after another, best first
+        const origin = query ? query.position : new THREE.Vector3();
+        const position = this.edges.geometry.attributes.position;
+        const end = new THREE.Vector3();
+        for (let i = 0; i < this.k; i++) {
+            const chunk = this.retrieved[i];
+            const grow = chunk ? Math.min(1, Math.max(0, (this.asked - 0.3 - i * 0.25) / 0.5)) : 0;
+            if (chunk) {
+                chunk.plate.getWorldPosition(end);
+                end.sub(origin).multiplyScalar(grow).add(origin);
+            } else {
+                end.copy(origin);
+            }
+            position.setXYZ(i * 2, origin.x, origin.y, origin.z);
+            position.setXYZ(i * 2 + 1, end.x, end.y, end.z);
+        }
+        position.needsUpdate = true;
+    }
+
+    update(delta) {
+        super.update(delta);
+        if (!this.chunks) return;
+
+        const cycle = this.spec.retrieval.cycle;
+        const count = (this.corpus.questions || []).length;
+        if (!this.choices && cycle && count > 0) {
+            this.cycleTime += delta;
+            if (this.cycleTime >= cycle) this.ask((this.questionIndex + 1) % count);
+        }
+
+        this.updateRetrieval(delta);
     }
 }
+DocumentNodes.sceneFile = 'document-nodes.json';
+// Plate opacity with no question, and the most a chunk outside the top k gets
+DocumentNodes.chunkOpacity = { idle: 0.12, lit: 0.6 };
+// Per second; see BaseScene.damp
+DocumentNodes.fadeRate = 4;
+// Seconds to step a stopped scene by so every fade and edge finishes
+DocumentNodes.settleTime = 60;
 
-// Legal-Eagle: DNA Helix (Multi-agent)
+/**
+ * Legal-Eagle: DNA Helix (Multi-agent)
+ * Plays back a LangGraph-style execution trace along the helix. Each graph
+ * node owns a rung, spread bottom to top in the trace's node order: the
+ * running step's rung lights up, finished nodes stay brighter than pending
+ * ones, and each message edge sends a pulse along the strand from one
+ * node's rung to the next. The scene file's "trace" names the file, how many
+ * seconds the whole run takes to play and how long the end holds before
+ * it loops:
+ *
+ *   "trace": { "src": "../data/traces/msa-review.json", "duration": 18, "hold": 2 }
+ *
+ * Traces list "nodes" ({ id, agent }), "steps" ({ node, start, end, summary })
+ * and "edges" ({ from, to, time, message }) with ISO timestamps. With
+ * data-scene-controls the page also gets a caption of the current step and
+ * a scrubber.
+ */
 class DNAHelix extends ProjectAnimation {
+    load() {
+        return Promise.resolve(super.load())
+            .then(() => this.loadData('trace'))
+            .then(trace => {
+                this.trace = trace;
+            });
+    }
+
     createGeometry() {
-        this.helixPoints1 = [];
-        this.helixPoints2 = [];
+        super.createGeometry();
+
+        const rungs = this.objects.rungs || [];
+        const duration = this.spec.trace && this.spec.trace.duration || 18;
+        this.timeline = this.trace && rungs.length > 0 ? DNAHelix.timeline(this.trace, duration) : null;
+        if (!this.timeline) return;
+
+        const nodes = (this.trace.nodes || []).map(node => node.id);
+        const spacing = (rungs.length - 1) / Math.max(1, nodes.length - 1);
+        this.nodeRungs = new Map(nodes.map((id, i) => [id, rungs[Math.round(i * spacing)]]));
+        rungs.forEach(rung => {
+            rung.material.opacity = DNAHelix.rungOpacity.idle;
+        });
 
-        const material = new THREE.MeshBasicMaterial({
-            color: this.options.color,
-            wireframe: true
+        // Pulses ride the strand the rungs end on
+        this.radius = Math.abs(rungs[0].geometry.attributes.position.getX(0));
+        const geometry = new THREE.SphereGeometry(0.08, 8, 8);
+        this.pulses = this.timeline.edges.map(() => {
+            const pulse = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: this.options.color }));
+            pulse.visible = false;
+            this.scene.add(pulse);
+            return pulse;
         });
 
-        const sphereGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+        this.traceLength = duration + (this.spec.trace.hold || 0);
+        this.traceTime = 0;
+        this.playing = true;
+        this.createTraceControls();
+        this.updateTrace();
+    }
 
-        for (let i = 0; i < 20; i++) {
-            const angle = i * 0.5;
-            const y = (i - 10) * 0.3;
+    // Steps and edges on the playback clock, in seconds from the first step;
+    // null for a trace without steps
+    static timeline(trace, duration) {
+        const steps = trace.steps || [];
+        if (steps.length === 0) return null;
+
+        const times = steps.flatMap(step => [Date.parse(step.start), Date.parse(step.end)]);
+        const first = Math.min(...times);
+        const span = Math.max(...times) - first || 1;
+        const at = time => ((Date.parse(time) - first) / span) * duration;
+        const agents = new Map((trace.nodes || []).map(node => [node.id, node.agent || node.id]));
+
+        const timed = steps.map((step, i) => ({
+            number: i + 1,
+            node: step.node,
+            agent: agents.get(step.node) || step.node,
+            summary: step.summary || '',
+            start: at(step.start),
+            end: at(step.end)
+        }));
+
+        // A message travels until the step it starts, but long enough to see
+        const edges = (trace.edges || []).map(edge => {
+            const start = at(edge.time);
+            const next = timed.find(step => step.node === edge.to && step.start >= start);
+            return {
+                from: edge.from,
+                to: edge.to,
+                message: edge.message || '',
+                start,
+                end: Math.max(next ? next.start : start, start + DNAHelix.minTravel)
+            };
+        });
 
-            const sphere1 = new THREE.Mesh(sphereGeometry, material);
-            sphere1.position.set(Math.cos(angle) * 1.2, y, Math.sin(angle) * 1.2);
-            this.helixPoints1.push(sphere1);
-            this.scene.add(sphere1);
+        return { steps: timed, edges, span: span / 1000, duration };
+    }
 
-            const sphere2 = new THREE.Mesh(sphereGeometry, material.clone());
-            sphere2.position.set(Math.cos(angle + Math.PI) * 1.2, y, Math.sin(angle + Math.PI) * 1.2);
-            this.helixPoints2.push(sphere2);
-            this.scene.add(sphere2);
+    createTraceControls() {
+        const panel = this.createPanel();
+        if (!panel) return;
+
+        this.caption = document.createElement('p');
+        this.caption.className = 'scene-caption';
+        this.caption.setAttribute('aria-live', 'polite');
+        panel.appendChild(this.caption);
+
+        // Scrubbing pauses playback so the step under the thumb stays put
+        this.controls = this.createTimeline(panel, 'Agent trace position', {
+            seek: fraction => {
+                this.setPlaying(false);
+                this.traceTime = fraction * this.traceLength;
+                this.updateTrace();
+                this.refresh();
+            },
+            toggle: () => this.setPlaying(!this.playing)
+        });
+        this.setPlaying(this.playing);
+    }
 
-            // Connect pairs
-            if (i % 2 === 0) {
-                const points = [sphere1.position.clone(), sphere2.position.clone()];
-                const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
-                const lineMaterial = new THREE.LineBasicMaterial({
-                    color: this.options.color,
-                    transparent: true,
-                    opacity: 0.4
-                });
-                this.scene.add(new THREE.Line(lineGeometry, lineMaterial));
+    setPlaying(playing) {
+        this.playing = playing;
+        if (this.controls) this.controls.button.textContent = playing ? 'Pause' : 'Play';
+    }
+
+    updateTrace() {
+        const time = this.traceTime;
+        const { steps, edges } = this.timeline;
+        const opacity = DNAHelix.rungOpacity;
+
+        const active = steps.filter(step => step.start <= time && time < step.end).pop() || null;
+        this.nodeRungs.forEach((rung, node) => {
+            if (active && active.node === node) {
+                rung.material.opacity = opacity.active;
+            } else {
+                rung.material.opacity = steps.some(step => step.node === node && step.end <= time)
+                    ? opacity.done
+                    : opacity.pending;
             }
+        });
+
+        edges.forEach((edge, i) => {
+            const pulse = this.pulses[i];
+            const from = this.nodeRungs.get(edge.from);
+            const to = this.nodeRungs.get(edge.to);
+            const t = (time - edge.start) / (edge.end - edge.start);
+            pulse.visible = !!(from && to) && t >= 0 && t <= 1;
+            if (!pulse.visible) return;
+
+            // Follow the strand: rung angles and heights blend between nodes
+            const ease = t * t * (3 - 2 * t);
+            const angle = from.rotation.y + (to.rotation.y - from.rotation.y) * ease;
+            pulse.position.set(
+                Math.cos(angle) * this.radius,
+                from.position.y + (to.position.y - from.position.y) * ease,
+                -Math.sin(angle) * this.radius
+            );
+        });
+
+        if (this.controls) this.updateControls(active, edges.find(edge => edge.start <= time && time <= edge.end));
+    }
+
+    updateControls(active, edge) {
+        const { steps, span, duration } = this.timeline;
+        let title;
+        let text;
+        if (active) {
+            title = `Step ${active.number} of ${steps.length} · ${active.agent}`;
+            text = active.summary;
+        } else if (edge) {
+            const agent = id => (steps.find(step => step.node === id) || { agent: id }).agent;
+            title = `${agent(edge.from)} → ${agent(edge.to)}`;
+            text = edge.message;
+        } else {
+            title = 'Run complete';
+            text = `${steps.length} steps in ${DNAHelix.clock(span)}`;
         }
 
-        this.rotationOffset = 0;
+        if (this.caption.dataset.title !== title) {
+            this.caption.dataset.title = title;
+            const heading = document.createElement('strong');
+            heading.textContent = title;
+            this.caption.replaceChildren(heading, document.createTextNode(text));
+        }
+
+        const { range, clock } = this.controls;
+        range.value = String(Math.round((this.traceTime / this.traceLength) * 1000));
+        clock.textContent = DNAHelix.clock(Math.min(this.traceTime / duration, 1) * span);
     }
 
-    update() {
-        this.rotationOffset += 0.01;
+    // m:ss
+    static clock(seconds) {
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
 
-        this.helixPoints1.forEach((sphere, i) => {
-            const angle = i * 0.5 + this.rotationOffset;
-            const y = (i - 10) * 0.3;
-            sphere.position.x = Math.cos(angle) * 1.2;
-            sphere.position.z = Math.sin(angle) * 1.2;
-        });
+    update(delta) {
+        super.update(delta);
+        if (!this.timeline) return;
 
-        this.helixPoints2.forEach((sphere, i) => {
-            const angle = i * 0.5 + this.rotationOffset + Math.PI;
-            sphere.position.x = Math.cos(angle) * 1.2;
-            sphere.position.z = Math.sin(angle) * 1.2;
-        });
+        if (this.playing) this.traceTime = (this.traceTime + delta) % this.traceLength;
+        this.updateTrace();
     }
 }
+DNAHelix.sceneFile = 'dna-helix.json';
+// Seconds a message pulse takes at least
+DNAHelix.minTravel = 0.8;
+DNAHelix.rungOpacity = { idle: 0.15, pending: 0.25, done: 0.6, active: 1 };
 
-// Policy-Guard: Shield Barrier
+/**
+ * Policy-Guard: Shield Barrier
+ * Runs a Policy-as-Code rule set (js/policy-rules.js) against sample
+ * documents. Each rule takes a hexagon, inner ring first, which turns the
+ * pass or fail color (failing ones flash), and the outer ring shows the
+ * verdict. With data-scene-controls visitors pick a sample or paste their
+ * own text and see the violations; without them the samples take turns
+ * every "cycle" seconds. The rules may be JSON or YAML:
+ *
+ *   "policy": { "src": "../data/policy/incident-report.yaml",
+ *               "samples": "../data/policy/incident-reports.json", "cycle": 5 }
+ *
+ * Samples are a list of { id, title, text }.
+ */
 class ShieldBarrier extends ProjectAnimation {
+    load() {
+        return Promise.resolve(super.load()).then(() => {
+            const policy = this.spec.policy;
+            if (!policy || !window.PolicyRules || this.options.policy === false) return null;
+
+            const url = path => new URL(path, ProjectAnimation.sceneBase).href;
+            const rules = fetch(url(policy.src)).then(response => {
+                if (!response.ok) throw new Error(`ShieldBarrier: could not load ${url(policy.src)} (${response.status})`);
+                return response.text();
+            });
+
+            return Promise.all([rules, policy.samples ? ProjectAnimation.fetchSpec(url(policy.samples)) : []])
+                .then(([text, samples]) => {
+                    this.rules = PolicyRules.parse(text);
+                    this.samples = samples;
+                })
+                .catch(error => console.warn(`${error.message}; playing without the rules`));
+        });
+    }
+
     createGeometry() {
-        // Hexagonal shield pattern
-        const hexRadius = 0.4;
-        const rings = 3;
+        super.createGeometry();
+        if (!this.rules) return;
 
-        const material = new THREE.MeshBasicMaterial({
-            color: this.options.color,
-            wireframe: true,
-            transparent: true,
-            opacity: 0.7
+        this.ruleHexagons = [...(this.objects.innerHexagons || []), ...(this.objects.outerHexagons || [])];
+        this.report = null;
+        this.sampleIndex = -1;
+        this.cycleTime = 0;
+
+        this.createPolicyControls();
+        if (this.samples.length > 0) this.check(0);
+    }
+
+    createPolicyControls() {
+        const panel = this.createPanel();
+        if (!panel) return;
+
+        const choices = document.createElement('div');
+        choices.className = 'scene-choices';
+        choices.setAttribute('role', 'group');
+        choices.setAttribute('aria-label', 'Sample documents');
+        this.choices = this.samples.map((sample, i) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'scene-button';
+            button.textContent = sample.title;
+            button.setAttribute('aria-pressed', 'false');
+            button.addEventListener('click', () => this.check(i));
+            choices.appendChild(button);
+            return button;
         });
 
-        this.hexagons = [];
+        // Pasted or edited text is checked once typing pauses
+        this.documentInput = document.createElement('textarea');
+        this.documentInput.className = 'scene-input';
+        this.documentInput.rows = 6;
+        this.documentInput.setAttribute('aria-label', 'Document to check');
+        this.documentInput.placeholder = 'Paste a report to check it against the policy';
+        this.documentInput.addEventListener('input', () => {
+            clearTimeout(this.inputTimer);
+            this.inputTimer = setTimeout(() => {
+                this.sampleIndex = -1;
+                this.evaluate(this.documentInput.value);
+            }, ShieldBarrier.inputDelay);
+        });
 
-        for (let ring = 0; ring < rings; ring++) {
-            const count = ring === 0 ? 1 : ring * 6;
-            for (let i = 0; i < count; i++) {
-                const angle = (i / count) * Math.PI * 2;
-                const distance = ring * hexRadius * 1.8;
-
-                const hexGeometry = new THREE.CircleGeometry(hexRadius, 6);
-                const hex = new THREE.Mesh(hexGeometry, material.clone());
-                hex.position.x = Math.cos(angle) * distance;
-                hex.position.y = Math.sin(angle) * distance;
-                this.hexagons.push(hex);
-                this.scene.add(hex);
-            }
-        }
+        this.caption = document.createElement('p');
+        this.caption.className = 'scene-caption';
+        this.caption.setAttribute('aria-live', 'polite');
 
-        // Outer ring
-        const ringGeometry = new THREE.RingGeometry(2.2, 2.4, 32);
-        this.outerRing = new THREE.Mesh(ringGeometry, material.clone());
-        this.scene.add(this.outerRing);
+        this.violations = document.createElement('ul');
+        this.violations.className = 'scene-violations';
+
+        panel.append(choices, this.documentInput, this.caption, this.violations);
     }
 
-    update() {
-        const time = Date.now() * 0.001;
+    // Check one of the samples
+    check(index) {
+        const sample = this.samples[index];
+        if (!sample) return;
+
+        this.sampleIndex = index;
+        this.cycleTime = 0;
+        if (this.documentInput) this.documentInput.value = sample.text;
+        this.evaluate(sample.text);
+    }
+
+    evaluate(text) {
+        this.report = PolicyRules.evaluate(this.rules, text);
+        this.paint();
+        this.showReport();
+        this.refresh();
+    }
 
-        this.hexagons.forEach((hex, i) => {
-            hex.material.opacity = 0.5 + Math.sin(time * 2 + i * 0.5) * 0.3;
+    paint() {
+        const { color, passColor, failColor } = this.options;
+
+        this.ruleHexagons.forEach((hexagon, i) => {
+            const result = this.report.results[i];
+            hexagon.material.color.setHex(result ? (result.passed ? passColor : failColor) : color);
+            hexagon.userData.behaviors.forEach(behavior => {
+                if (behavior.type !== 'wave') return;
+                if (behavior.calmSpeed === undefined) behavior.calmSpeed = behavior.speed;
+                behavior.speed = result && !result.passed ? ShieldBarrier.alarmSpeed : behavior.calmSpeed;
+            });
         });
 
-        this.outerRing.rotation.z += 0.005;
+        const ring = (this.objects.outerRing || [])[0];
+        if (ring) ring.material.color.setHex(this.report.passed ? passColor : failColor);
+    }
+
+    showReport() {
+        if (!this.caption) return;
+
+        this.choices.forEach((button, i) => {
+            button.setAttribute('aria-pressed', String(i === this.sampleIndex));
+        });
+
+        const { results, violations, passed } = this.report;
+        const heading = document.createElement('strong');
+        heading.textContent = passed
+            ? `Compliant · ${results.length} of ${results.length} rules pass`
+            : `Non-compliant · ${violations.length} of ${results.length} rules fail`;
+        this.caption.replaceChildren(heading, document.createTextNode(`Policy: ${this.rules.policy || 'rules'}`));
+
+        if (violations.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No violations';
+            this.violations.replaceChildren(item);
+            return;
+        }
+
+        this.violations.replaceChildren(...violations.map(({ rule, message }) => {
+            const item = document.createElement('li');
+            const severity = document.createElement('span');
+            severity.className = 'scene-severity';
+            severity.textContent = rule.severity || 'medium';
+            item.append(severity, ` ${rule.title || rule.id}: ${message}`);
+            return item;
+        }));
+    }
+
+    applyColors() {
+        super.applyColors();
+        if (this.report) this.paint();
+    }
+
+    update(delta) {
+        super.update(delta);
+
+        const cycle = this.spec.policy && this.spec.policy.cycle;
+        if (!this.rules || this.choices || !cycle || this.samples.length === 0) return;
+        this.cycleTime += delta;
+        if (this.cycleTime >= cycle) this.check((this.sampleIndex + 1) % this.samples.length);
+    }
+
+    destroy() {
+        clearTimeout(this.inputTimer);
+        super.destroy();
     }
 }
+ShieldBarrier.sceneFile = 'shield-barrier.json';
+ShieldBarrier.themeColors = {
+    ...ProjectAnimation.themeColors,
+    passColor: ['--scene-pass', 0x10b981],
+    failColor: ['--scene-fail', 0xef4444]
+};
+// Wave speed of a failing rule's hexagon
+ShieldBarrier.alarmSpeed = 6;
+// Milliseconds after the last keystroke before pasted text is checked
+ShieldBarrier.inputDelay = 250;
 
-// RL Supply Chain: Flow Pipeline
+/**
+ * RL Supply Chain: Flow Pipeline
+ * Runs the inventory simulation (js/supply-chain-sim.js) on the scene's
+ * graph. The "nodes" copies stand for the network's nodes, in the same
+ * order; each grows and shrinks with its stock and turns the fail color on
+ * days it runs out. Shipments travel from node to node as particles sized
+ * by quantity. Every policy in the network runs side by side on the same
+ * demand at "daysPerSecond" simulated days a second, and the scene shows
+ * "policy". When the horizon is reached, the last day holds for "hold"
+ * seconds, then the run starts over:
+ *
+ *   "simulation": { "src": "../data/supply-chain/network.json",
+ *                   "daysPerSecond": 3, "hold": 3, "policy": "rl" }
+ *
+ * With data-scene-controls the page also gets buttons to switch the policy
+ * shown, demand and spike sliders that restart the runs, and a chart of
+ * each policy's running cost. Without the simulation the packets flow along
+ * the links.
+ *
+ * An input target of { "simulation": "daysPerSecond", "range": [...] } sets
+ * the playback rate in place of the scene file's, so page data can drive
+ * the simulation the way other targets drive the packets.
+ */
 class FlowPipeline extends ProjectAnimation {
+    load() {
+        return Promise.resolve(super.load())
+            .then(() => (window.SupplyChainSim ? this.loadData('simulation') : null))
+            .then(network => {
+                this.network = network;
+            });
+    }
+
     createGeometry() {
-        // Pipeline structure
-        const pipeGeometry = new THREE.CylinderGeometry(0.1, 0.1, 6, 8, 1, true);
-        const pipeMaterial = new THREE.MeshBasicMaterial({
-            color: this.options.color,
-            wireframe: true,
-            transparent: true,
-            opacity: 0.5
+        super.createGeometry();
+
+        const nodes = this.objects.nodes || [];
+        if (!this.network || nodes.length < this.network.nodes.length) {
+            this.network = null;
+            return;
+        }
+
+        // Shipments take over from the packets
+        const packets = this.objects.packets || [];
+        packets.forEach(packet => {
+            packet.visible = false;
         });
+        this.shipmentGeometry = packets.length > 0 ? packets[0].geometry : new THREE.SphereGeometry(0.12, 8, 8);
+        this.shipmentMeshes = [];
+
+        this.nodeMeshes = new Map(this.network.nodes.map((node, i) => [node.id, nodes[i]]));
+        this.baseScale = nodes[0].scale.x;
+        this.settings = { demand: 1, spikes: (this.network.spikes || {}).chance || 0 };
+        this.shown = this.spec.simulation.policy || Object.keys(this.network.policies)[0];
+
+        this.createSimulationControls();
+        this.restart();
+        // Nothing will play the run, so show the whole of it
+        if (MotionPreference.isPaused()) this.finish();
+    }
 
-        this.pipe = new THREE.Mesh(pipeGeometry, pipeMaterial);
-        this.pipe.rotation.z = Math.PI / 2;
-        this.scene.add(this.pipe);
+    createSimulationControls() {
+        const panel = this.createPanel();
+        if (!panel) return;
+
+        const choices = document.createElement('div');
+        choices.className = 'scene-choices';
+        choices.setAttribute('role', 'group');
+        choices.setAttribute('aria-label', 'Policy shown');
+        this.choices = Object.keys(this.network.policies).map(policy => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'scene-button';
+            button.textContent = this.network.policies[policy].name || policy;
+            button.dataset.policy = policy;
+            button.addEventListener('click', () => this.show(policy));
+            choices.appendChild(button);
+            return button;
+        });
 
-        // Flow particles
-        this.flowParticles = [];
-        const sphereGeometry = new THREE.SphereGeometry(0.15, 8, 8);
-        const sphereMaterial = new THREE.MeshBasicMaterial({
-            color: this.options.color,
-            wireframe: true
+        const sliders = document.createElement('div');
+        sliders.className = 'scene-sliders';
+        sliders.append(
+            this.createSlider('Demand', { min: 50, max: 150, step: 5, value: this.settings.demand * 100 }, value => {
+                this.settings.demand = value / 100;
+                return `${value}%`;
+            }),
+            this.createSlider('Spike chance', { min: 0, max: 20, step: 1, value: Math.round(this.settings.spikes * 100) }, value => {
+                this.settings.spikes = value / 100;
+                return `${value}%/day`;
+            })
+        );
+
+        // Rewritten every simulated day, too often to announce
+        this.caption = document.createElement('p');
+        this.caption.className = 'scene-caption';
+
+        this.chart = document.createElement('canvas');
+        this.chart.className = 'scene-chart';
+        this.chart.setAttribute('role', 'img');
+        this.chart.setAttribute('aria-label', 'Running cost of each policy by day; the caption gives the totals');
+
+        panel.append(choices, sliders, this.caption, this.chart);
+    }
+
+    // A labelled range input; `change` applies the value and returns its text
+    createSlider(label, { min, max, step, value }, change) {
+        const slider = document.createElement('label');
+        slider.className = 'scene-slider';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const range = document.createElement('input');
+        range.type = 'range';
+        range.min = String(min);
+        range.max = String(max);
+        range.step = String(step);
+        range.value = String(value);
+
+        const output = document.createElement('output');
+        output.className = 'scene-time';
+        output.textContent = change(Number(range.value));
+
+        range.addEventListener('input', () => {
+            output.textContent = change(Number(range.value));
+            this.restart();
+            if (!this.running) this.finish();
         });
 
-        for (let i = 0; i < 5; i++) {
-            const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial.clone());
-            sphere.position.x = -3 + i * 1.5;
-            this.flowParticles.push(sphere);
-            this.scene.add(sphere);
+        slider.append(name, range, output);
+        return slider;
+    }
+
+    // New runs of every policy from day 0 with the current settings
+    restart() {
+        const { demand, spikes } = this.settings;
+        this.runs = Object.keys(this.network.policies).map(policy => (
+            new SupplyChainSim(this.network, { demand, spikes, policy })
+        ));
+        this.days = 0;
+        this.holdTime = 0;
+        this.showDay();
+    }
+
+    // Run to the horizon at once, for scenes that are not playing
+    finish() {
+        this.days = this.runs[0].horizon;
+        this.advance();
+        this.updateNetwork(Infinity);
+        this.refresh();
+    }
+
+    show(policy) {
+        this.shown = policy;
+        this.showDay();
+        if (!this.running) {
+            this.updateNetwork(Infinity);
+            this.refresh();
         }
+    }
 
-        // Nodes at ends
-        const nodeGeometry = new THREE.BoxGeometry(0.8, 0.8, 0.8);
-        this.nodeStart = new THREE.Mesh(nodeGeometry, pipeMaterial.clone());
-        this.nodeStart.position.x = -3.5;
-        this.scene.add(this.nodeStart);
+    get shownRun() {
+        return this.runs.find(run => run.policy === this.shown) || this.runs[0];
+    }
 
-        this.nodeEnd = new THREE.Mesh(nodeGeometry, pipeMaterial.clone());
-        this.nodeEnd.position.x = 3.5;
-        this.scene.add(this.nodeEnd);
+    // Step every run up to the day `days` has reached
+    advance() {
+        const target = Math.min(Math.floor(this.days), this.runs[0].horizon);
+        if (this.runs[0].day >= target) return;
+        while (this.runs[0].day < target) {
+            this.runs.forEach(run => run.step());
+        }
+        this.showDay();
     }
 
-    update() {
-        const speed = 0.02;
+    showDay() {
+        this.drawChart();
+        if (!this.caption) return;
+
+        this.choices.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.policy === this.shown));
+        });
+
+        const run = this.shownRun;
+        const name = policy => this.network.policies[policy].name || policy;
+        const heading = document.createElement('strong');
+        heading.textContent = `Day ${run.day} of ${run.horizon} · ${name(run.policy)}`;
 
-        this.flowParticles.forEach(particle => {
-            particle.position.x += speed;
-            if (particle.position.x > 3.5) {
-                particle.position.x = -3.5;
+        const costs = this.runs.map(other => `${name(other.policy)} ${FlowPipeline.money(other.totalCost)}`).join(', ');
+        const stockouts = `${run.stockouts} ${run.stockouts === 1 ? 'day' : 'days'} with stockouts`;
+        const spike = run.spikeDays > 0 ? ' Demand spike under way.' : '';
+        this.caption.replaceChildren(heading, document.createTextNode(`Running cost: ${costs}. ${stockouts}.${spike}`));
+    }
+
+    // Cumulative cost per day; the shown policy in the accent color, any
+    // other in the muted text color and dashed
+    drawChart() {
+        const canvas = this.chart;
+        const width = canvas ? canvas.clientWidth : 0;
+        const height = canvas ? canvas.clientHeight : 0;
+        const context = width && height ? canvas.getContext('2d') : null;
+        if (!context) return;
+
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        const style = getComputedStyle(canvas);
+        const accent = style.getPropertyValue('--color-accent').trim() || '#4f46e5';
+        const muted = style.getPropertyValue('--color-text-light').trim() || '#666666';
+        const horizon = this.runs[0].horizon;
+        const top = Math.max(1, ...this.runs.map(run => run.totalCost)) * 1.1;
+
+        this.runs.forEach(run => {
+            const shown = run.policy === this.shown;
+            context.strokeStyle = shown ? accent : muted;
+            context.lineWidth = shown ? 2 : 1.5;
+            context.setLineDash(shown ? [] : [4, 3]);
+            context.beginPath();
+            context.moveTo(0, height);
+            run.costs.forEach((cost, i) => {
+                context.lineTo(((i + 1) / horizon) * width, height - (cost / top) * height);
+            });
+            context.stroke();
+        });
+    }
+
+    updateNetwork(delta) {
+        const run = this.shownRun;
+        const { color, failColor } = this.options;
+        const grow = BaseScene.damp(FlowPipeline.growRate, delta);
+        const { min, max } = FlowPipeline.stockScale;
+
+        run.nodes.forEach((node, id) => {
+            const mesh = this.nodeMeshes.get(id);
+            if (!mesh) return;
+            const fill = node.role === 'supplier' ? 1 : Math.min(1, node.stock / (node.capacity || 1));
+            const target = this.baseScale * (min + (max - min) * fill);
+            mesh.scale.setScalar(mesh.scale.x + (target - mesh.scale.x) * grow);
+            mesh.material.color.setHex(node.lost > 0 ? failColor : color);
+        });
+
+        // Shipments still on the road, placed by how far through their
+        // lead time the clock is
+        const moving = run.shipments.filter(shipment => shipment.arrive > run.day);
+        while (this.shipmentMeshes.length < moving.length) {
+            const mesh = new THREE.Mesh(this.shipmentGeometry, new THREE.MeshBasicMaterial({ color, wireframe: true }));
+            this.scene.add(mesh);
+            this.shipmentMeshes.push(mesh);
+        }
+        this.shipmentMeshes.forEach((mesh, i) => {
+            const shipment = moving[i];
+            mesh.visible = !!shipment;
+            if (!shipment) return;
+
+            const t = Math.min(1, Math.max(0, (this.days - shipment.depart) / (shipment.arrive - shipment.depart)));
+            mesh.position.lerpVectors(this.nodeMeshes.get(shipment.from).position, this.nodeMeshes.get(shipment.to).position, t);
+            mesh.scale.setScalar(0.5 + Math.sqrt(shipment.quantity) / 15);
+            if (Number.isFinite(delta)) {
+                mesh.rotation.x += delta * FlowPipeline.spin;
+                mesh.rotation.y += delta * FlowPipeline.spin;
             }
-            particle.rotation.x += 0.02;
-            particle.rotation.y += 0.02;
         });
+    }
 
-        this.nodeStart.rotation.y += 0.01;
-        this.nodeEnd.rotation.y -= 0.01;
+    applyColors() {
+        super.applyColors();
+        if (!this.network || !this.runs) return;
+        this.updateNetwork(0);
+        this.drawChart();
+    }
+
+    applyTarget(target, value) {
+        if (target.simulation === 'daysPerSecond') {
+            this.daysPerSecond = value;
+        } else {
+            super.applyTarget(target, value);
+        }
+    }
+
+    update(delta) {
+        super.update(delta);
+        if (!this.network) return;
+
+        const { hold = 3 } = this.spec.simulation;
+        const daysPerSecond = this.daysPerSecond || this.spec.simulation.daysPerSecond || 3;
+        if (this.runs[0].done) {
+            this.holdTime += delta;
+            if (this.holdTime >= hold) this.restart();
+        } else {
+            this.days += delta * daysPerSecond;
+            this.advance();
+        }
+
+        this.updateNetwork(delta);
+    }
+
+    static money(value) {
+        return `$${Math.round(value).toLocaleString('en-US')}`;
     }
 }
+FlowPipeline.sceneFile = 'flow-pipeline.json';
+FlowPipeline.themeColors = {
+    ...ProjectAnimation.themeColors,
+    failColor: ['--scene-fail', 0xef4444]
+};
+// Node scale, as a multiple of the scene file's, when empty and when full
+FlowPipeline.stockScale = { min: 0.4, max: 1.6 };
+// Per second; see BaseScene.damp
+FlowPipeline.growRate = 5;
+// Radians per second a shipment turns on each axis
+FlowPipeline.spin = 1.2;
+
+window.ProjectAnimation = ProjectAnimation;
 
 // Export all animations
 window.ProjectAnimations = {
@@ -0,0 +1,269 @@
+/**
+ * Router - in-page navigation between the site's pages
+ * Same-origin page links are fetched and only <main> is swapped (with the
+ * title, description and body theme class), so Three.js and the WebGL
+ * context survive navigation. Every scene draws on the one persistent
+ * multi-view canvas, and the outgoing page's first scene flies into the
+ * incoming one's place while shrinking away as the new scene grows.
+ *
+ * Anything unexpected (fetch fails, no <main>) falls back to a full load.
+ * Pages announce the swap with a 'routechange' event on document.
+ */
+class Router {
+  static supported() {
+    return !!(window.history && history.pushState && window.fetch && window.DOMParser &&
+      window.MultiViewRenderer && window.SceneLoader);
+  }
+
+  static start() {
+    if (Router.started || !Router.supported()) return;
+    Router.started = true;
+
+    // One canvas for every page: scenes share it and it outlives them
+    SceneLoader.defaults.shared = true;
+    MultiViewRenderer.persistent = true;
+
+    // The nav stays put across pages, so its relative URLs must not follow
+    // the address bar into projects/
+    document.querySelectorAll('nav a[href]').forEach(link => {
+      link.setAttribute('href', link.href);
+    });
+    document.querySelectorAll('nav img[src]').forEach(image => {
+      image.setAttribute('src', image.src);
+    });
+    // Same for scripts, which loadScripts() compares against the next page's
+    document.querySelectorAll('script[src]').forEach(script => {
+      script.setAttribute('src', script.src);
+    });
+
+    history.replaceState({ scrollY: window.scrollY }, '');
+    if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+    Router.shown = Router.pageKey(window.location);
+
+    document.addEventListener('click', Router.onClick);
+    window.addEventListener('popstate', Router.onPopState);
+  }
+
+  // Only plain left clicks on links to pages of this site
+  static onClick(event) {
+    if (event.defaultPrevented || event.button !== 0 ||
+      event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+
+    const link = event.target.closest && event.target.closest('a[href]');
+    if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+
+    const url = new URL(link.href, document.baseURI);
+    if (!Router.handles(url)) return;
+
+    event.preventDefault();
+    Router.navigate(url.href);
+  }
+
+  static handles(url) {
+    if (url.origin !== window.location.origin) return false;
+    // Same page, different hash: let the browser scroll
+    if (url.pathname === window.location.pathname && url.search === window.location.search && url.hash) {
+      return false;
+    }
+    // Pages and clean routes; not assets, data or scene files
+    return url.pathname.endsWith('.html') || !/\.[a-z0-9]+$/i.test(url.pathname);
+  }
+
+  static onPopState(event) {
+    const scrollY = (event.state || {}).scrollY || 0;
+
+    // Hash-only entries of the page on show: scroll, don't reload it
+    if (Router.pageKey(window.location) === Router.shown) {
+      // Drop a load of another page still in flight
+      Router.token++;
+      const target = window.location.hash && document.getElementById(window.location.hash.slice(1));
+      if (target) {
+        target.scrollIntoView();
+      } else {
+        window.scrollTo(0, scrollY);
+      }
+      return;
+    }
+
+    Router.load(window.location.href, { push: false, scrollY });
+  }
+
+  // The part of a URL that picks the page, as handles() compares it
+  static pageKey(url) {
+    return url.pathname + url.search;
+  }
+
+  static navigate(href) {
+    const url = new URL(href, document.baseURI);
+    if (!Router.started || !Router.handles(url)) {
+      window.location.href = url.href;
+      return Promise.resolve();
+    }
+    return Router.load(url.href, { push: true, scrollY: 0 });
+  }
+
+  static load(href, { push, scrollY }) {
+    // A newer navigation wins over one still loading
+    const token = ++Router.token;
+
+    return fetch(href, { headers: { Accept: 'text/html' } })
+      .then(response => {
+        if (!response.ok) throw new Error(`${response.status}`);
+        return response.text();
+      })
+      .then(html => {
+        const page = new DOMParser().parseFromString(html, 'text/html');
+        if (!page.querySelector('main')) throw new Error('no <main>');
+        return Router.loadScripts(page, href).then(() => page);
+      })
+      .then(page => {
+        if (token !== Router.token) return;
+        Router.swap(page, href, { push, scrollY });
+      })
+      .catch(error => {
+        console.warn(`Router: ${href} (${error.message}), loading the page instead`);
+        window.location.href = href;
+      });
+  }
+
+  // Pages load different scripts (project-animations.js only where project
+  // scenes appear); add the ones this page hasn't run yet, in order
+  static loadScripts(page, href) {
+    const loaded = new Set([...document.scripts].map(script => script.src).filter(Boolean));
+    const missing = [...page.querySelectorAll('script[src]')]
+      .map(script => new URL(script.getAttribute('src'), href).href)
+      .filter(src => !loaded.has(src));
+
+    return missing.reduce((previous, src) => previous.then(() => new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`could not load ${src}`));
+      document.body.appendChild(script);
+    })), Promise.resolve());
+  }
+
+  static swap(page, href, { push, scrollY }) {
+    const oldMain = document.querySelector('main');
+    const morph = Router.morphs() ? Router.primaryScene(oldMain) : null;
+    const fromRect = morph ? morph.container.getBoundingClientRect() : null;
+
+    // Keep the outgoing scene alive for the morph; SceneLoader would
+    // destroy it as soon as its element leaves the document
+    if (morph) SceneLoader.release(morph.container);
+
+    if (push) {
+      history.replaceState({ scrollY: window.scrollY }, '');
+      history.pushState({ scrollY: 0 }, '', href);
+    }
+
+    document.title = page.title;
+    const description = page.querySelector('meta[name="description"]');
+    const current = document.querySelector('meta[name="description"]');
+    if (description && current) current.setAttribute('content', description.getAttribute('content'));
+    document.body.className = page.body.className;
+
+    const main = document.importNode(page.querySelector('main'), true);
+    oldMain.replaceWith(main);
+    Router.shown = Router.pageKey(new URL(href, document.baseURI));
+    SceneLoader.scan(main);
+
+    const navLinks = document.getElementById('navLinks');
+    if (navLinks) navLinks.classList.remove('active');
+
+    const target = push && window.location.hash && document.getElementById(window.location.hash.slice(1));
+    if (target) {
+      target.scrollIntoView();
+    } else {
+      window.scrollTo(0, scrollY);
+    }
+
+    // Moving focus to the new content tells screen readers the page changed
+    main.setAttribute('tabindex', '-1');
+    main.focus({ preventScroll: true });
+
+    document.dispatchEvent(new CustomEvent('routechange', { detail: { url: href } }));
+
+    if (morph) Router.morph(morph, fromRect, Router.primaryScene(main));
+  }
+
+  static morphs() {
+    return !(window.MotionPreference && MotionPreference.isPaused());
+  }
+
+  static primaryScene(root) {
+    const element = root && root.querySelector('[data-scene]');
+    const scene = element && SceneLoader.instances.get(element);
+    return scene && !scene.destroyed ? scene : null;
+  }
+
+  // The old scene's view travels from its old rectangle to the new scene's
+  // while shrinking to nothing; the new scene grows in place
+  static morph(from, fromRect, to) {
+    const finish = () => {
+      if (to && to.scene) to.scene.scale.setScalar(1);
+      from.destroy();
+      if (to && to.renderer) to.render();
+    };
+
+    if (!from.renderer || !from.renderer.isSceneView) {
+      from.destroy();
+      return Promise.resolve();
+    }
+
+    // Its element has left the page, so pin the view where it was
+    const view = from.renderer;
+    view.rect = fromRect;
+    view.render();
+
+    // Project scenes load their scene file first
+    return Promise.resolve(to ? to.init() : null).catch(() => null).then(() => new Promise(resolve => {
+      const ready = to && to.scene && to.renderer && to.renderer.isSceneView;
+      if (ready) to.scene.scale.setScalar(0.001);
+      const start = performance.now();
+
+      const frame = now => {
+        if (from.destroyed) {
+          resolve();
+          return;
+        }
+
+        const t = Math.min(1, (now - start) / (Router.morphDuration * 1000));
+        const ease = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+        const toRect = ready ? to.container.getBoundingClientRect() : fromRect;
+
+        const left = fromRect.left + (toRect.left - fromRect.left) * ease;
+        const top = fromRect.top + (toRect.top - fromRect.top) * ease;
+        const width = fromRect.width + (toRect.width - fromRect.width) * ease;
+        const height = fromRect.height + (toRect.height - fromRect.height) * ease;
+        // Every field of a DOMRect, since MultiViewRenderer reads them all
+        view.rect = { left, top, width, height, right: left + width, bottom: top + height };
+        from.scene.scale.setScalar(Math.max(1 - ease, 0.001));
+        if (ready) to.scene.scale.setScalar(Math.max(ease, 0.001));
+        view.render();
+
+        if (t < 1) {
+          requestAnimationFrame(frame);
+        } else {
+          finish();
+          resolve();
+        }
+      };
+
+      requestAnimationFrame(frame);
+    }));
+  }
+}
+
+Router.started = false;
+Router.token = 0;
+// pageKey() of the page whose <main> is on show
+Router.shown = null;
+// Seconds
+Router.morphDuration = 0.8;
+
+window.Router = Router;
+
+Router.start();
@@ -0,0 +1,266 @@
+/**
+ * Scene Export - stills and clips of any scene, for slides, posts and
+ * og:image cards
+ *
+ *   const scene = SceneExport.find('#heroCanvas');
+ *   SceneExport.png(scene, { width: 1200, height: 630 }).then(blob => SceneExport.save(blob, 'hero.png'));
+ *   SceneExport.webm(scene, { seconds: 4, fps: 30 }).then(blob => SceneExport.save(blob, 'hero.webm'));
+ *
+ * Both draw the scene with a renderer of their own, so the page's canvas is
+ * left alone and shared (multi-view) scenes come out on their own. Options:
+ *   width, height  output pixels; either alone keeps the container's aspect,
+ *                  neither is the container's size times `scale` (default 1)
+ *   background     a CSS color, or 'page' for the page's --color-bg;
+ *                  transparent without it
+ *   seconds, fps   clip length and frame rate (webm only)
+ *
+ * Stills of any size are drawn in tiles of at most `tileSize` pixels. Clips
+ * pause the scene's own loop and step it by exactly 1/fps seconds a frame,
+ * so each frame shows the same moment however slow the machine is. Frames
+ * still reach MediaRecorder on a real-time schedule, because it timestamps
+ * them on arrival. Only some browsers (Chrome) keep a transparent clip's
+ * alpha; the rest record black there.
+ *
+ * Hidden shortcuts: Alt+Shift+S saves a still and Alt+Shift+V a clip of the
+ * scene under the pointer, or of the largest one in view, using the
+ * `shortcuts` settings.
+ */
+class SceneExport {
+  // The mounted scene for an element or selector; with no target, the
+  // hovered scene or the one with the most area on screen
+  static find(target) {
+    const scenes = window.SceneLoader
+      ? [...SceneLoader.instances.values()].filter(scene => scene.scene && !scene.destroyed)
+      : [];
+
+    if (target) {
+      const element = typeof target === 'string' ? document.querySelector(target) : target;
+      return scenes.find(scene => scene.container === element) || null;
+    }
+
+    const hovered = scenes.find(scene => scene.container.matches(':hover'));
+    if (hovered) return hovered;
+
+    let best = null;
+    let bestArea = 0;
+    scenes.forEach(scene => {
+      const rect = scene.container.getBoundingClientRect();
+      const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+      const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+      const area = Math.max(0, width) * Math.max(0, height);
+      if (area > bestArea) {
+        best = scene;
+        bestArea = area;
+      }
+    });
+    return best;
+  }
+
+  static size(scene, { width, height, scale = 1 }) {
+    const aspect = scene.container.clientWidth / scene.container.clientHeight || 1;
+    if (width && height) return { width: Math.round(width), height: Math.round(height) };
+    if (width) return { width: Math.round(width), height: Math.round(width / aspect) };
+    if (height) return { width: Math.round(height * aspect), height: Math.round(height) };
+    return {
+      width: Math.round(scene.container.clientWidth * scale),
+      height: Math.round(scene.container.clientHeight * scale)
+    };
+  }
+
+  static png(scene, options = {}) {
+    if (!scene || !scene.scene) return Promise.reject(new Error('SceneExport: no scene to export'));
+
+    const { width, height } = SceneExport.size(scene, options);
+    const output = SceneExport.canvas(width, height);
+    const context = output.getContext('2d');
+    const renderer = SceneExport.createRenderer();
+    const camera = scene.camera.clone();
+    camera.aspect = width / height;
+
+    try {
+      SceneExport.fill(context, scene, options.background, width, height);
+      const tile = SceneExport.tileSize;
+      for (let y = 0; y < height; y += tile) {
+        for (let x = 0; x < width; x += tile) {
+          const w = Math.min(tile, width - x);
+          const h = Math.min(tile, height - y);
+          renderer.setSize(w, h, false);
+          camera.setViewOffset(width, height, x, y, w, h);
+          renderer.render(scene.scene, camera);
+          context.drawImage(renderer.domElement, 0, 0, w, h, x, y, w, h);
+        }
+      }
+    } finally {
+      SceneExport.release(renderer);
+    }
+
+    return new Promise((resolve, reject) => {
+      output.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error(`SceneExport: could not encode a ${width}×${height} PNG`));
+        }
+      }, 'image/png');
+    });
+  }
+
+  static webm(scene, options = {}) {
+    if (!scene || !scene.scene) return Promise.reject(new Error('SceneExport: no scene to export'));
+    if (!window.MediaRecorder) return Promise.reject(new Error('SceneExport: this browser cannot record video'));
+
+    const { seconds = 5, fps = 30 } = options;
+    const { width, height } = SceneExport.size(scene, options);
+    const output = SceneExport.canvas(width, height);
+    if (typeof output.captureStream !== 'function') {
+      return Promise.reject(new Error('SceneExport: this browser cannot record a canvas'));
+    }
+
+    const context = output.getContext('2d');
+    const renderer = SceneExport.createRenderer();
+    renderer.setSize(width, height, false);
+    const camera = scene.camera.clone();
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    const frames = Math.max(1, Math.round(seconds * fps));
+    const step = 1 / fps;
+    let track = null;
+    scene.pause('export');
+
+    return new Promise((resolve, reject) => {
+      // Set up in here, so a stream or recorder the browser refuses (tainted
+      // canvas, unsupported type) rejects and still cleans up. A stream
+      // without its own frame rate sends a frame per requestFrame()
+      const stream = output.captureStream(0);
+      [track] = stream.getVideoTracks();
+      const mimeType = SceneExport.videoTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+      const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: options.bitsPerSecond || 8000000 });
+      const chunks = [];
+      recorder.addEventListener('dataavailable', event => {
+        if (event.data.size > 0) chunks.push(event.data);
+      });
+      recorder.addEventListener('stop', () => resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' })));
+      recorder.addEventListener('error', event => reject(event.error || new Error('SceneExport: recording failed')));
+      recorder.start();
+
+      const start = performance.now();
+      let frame = 0;
+      const draw = () => {
+        if (scene.destroyed) {
+          recorder.stop();
+          return;
+        }
+
+        if (frame > 0) scene.tick(step);
+        context.clearRect(0, 0, width, height);
+        SceneExport.fill(context, scene, options.background, width, height);
+        renderer.render(scene.scene, camera);
+        context.drawImage(renderer.domElement, 0, 0);
+        if (track.requestFrame) track.requestFrame();
+        // Keep the page's view in step with the recording
+        scene.render();
+
+        frame++;
+        const next = start + frame * step * 1000;
+        if (frame < frames) {
+          setTimeout(draw, Math.max(0, next - performance.now()));
+        } else {
+          // The last frame needs its full duration before the clip ends
+          setTimeout(() => recorder.stop(), Math.max(0, next - performance.now()));
+        }
+      };
+      draw();
+    }).finally(() => {
+      if (track) track.stop();
+      SceneExport.release(renderer);
+      scene.resume('export');
+    });
+  }
+
+  static canvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  // Draws at exactly the size it is given, and keeps its pixels for drawImage
+  static createRenderer() {
+    let renderer = null;
+    if (BaseScene.supportsWebGL()) {
+      try {
+        renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+        renderer.setClearColor(0x000000, 0);
+      } catch (error) {
+        // Out of contexts or blocklisted; draw in 2D instead
+      }
+    }
+    renderer = renderer || new CanvasRenderer();
+    renderer.setPixelRatio(1);
+    return renderer;
+  }
+
+  static release(renderer) {
+    renderer.dispose();
+    renderer.forceContextLoss();
+  }
+
+  static fill(context, scene, background, width, height) {
+    if (!background) return;
+    const color = background === 'page'
+      ? getComputedStyle(scene.container).getPropertyValue('--color-bg').trim() || '#ffffff'
+      : background;
+    context.fillStyle = color;
+    context.fillRect(0, 0, width, height);
+  }
+
+  static save(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // e.g. animated-sphere-1200x630.png
+  static fileName(scene, options, extension) {
+    const { width, height } = SceneExport.size(scene, options);
+    const name = scene.constructor.name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+    return `${name}-${width}x${height}.${extension}`;
+  }
+
+  // event.code, since Alt changes the typed character on macOS
+  static onKeyDown(event) {
+    if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey) return;
+    const format = { KeyS: 'png', KeyV: 'webm' }[event.code];
+    if (!format) return;
+
+    const scene = SceneExport.find();
+    if (!scene) return;
+    event.preventDefault();
+
+    const options = SceneExport.shortcuts[format];
+    const name = SceneExport.fileName(scene, options, format);
+    SceneExport[format](scene, options)
+      .then(blob => SceneExport.save(blob, name))
+      .catch(error => console.warn(error.message));
+  }
+}
+
+// Pixels per side of each tile a still is drawn in
+SceneExport.tileSize = 2048;
+// Tried in order; the first the browser records is used
+SceneExport.videoTypes = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+SceneExport.shortcuts = {
+  png: { scale: 2 },
+  webm: { scale: 1, seconds: 5, fps: 30, background: 'page' }
+};
+
+window.SceneExport = SceneExport;
+
+document.addEventListener('keydown', SceneExport.onKeyDown);
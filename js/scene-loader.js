@@ -0,0 +1,115 @@
+/**
+ * Scene Loader - mounts scenes declared in markup
+ *
+ *   <div data-scene="AnimatedSphere" data-scene-color="0x1a1a1a"
+ *        data-scene-rotation-speed="0.002"></div>
+ *
+ * data-scene names a class from window.ProjectAnimations or the globals in
+ * animation.js; every data-scene-* attribute becomes a constructor option
+ * (numbers, 0x/# colors, booleans and JSON are converted).
+ * Scenes are destroyed when their element leaves the document.
+ */
+class SceneLoader {
+  static resolve(name) {
+    const Scene = (window.ProjectAnimations || {})[name] || window[name];
+    if (typeof Scene !== 'function' || !(Scene.prototype instanceof BaseScene)) {
+      return null;
+    }
+    return Scene;
+  }
+
+  static parseValue(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^0x[0-9a-f]+$/i.test(value)) return parseInt(value, 16);
+    if (/^#[0-9a-f]{6}$/i.test(value)) return parseInt(value.slice(1), 16);
+    if (value.trim() !== '' && !isNaN(value)) return Number(value);
+    if (/^\s*[[{]/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        console.warn(`SceneLoader: invalid JSON option ${value}`);
+      }
+    }
+    return value;
+  }
+
+  static readOptions(element) {
+    const options = {};
+    Object.keys(element.dataset).forEach(key => {
+      if (key === 'scene' || !key.startsWith('scene')) return;
+      const name = key.charAt(5).toLowerCase() + key.slice(6);
+      options[name] = SceneLoader.parseValue(element.dataset[key]);
+    });
+    return options;
+  }
+
+  static mount(element) {
+    if (SceneLoader.instances.has(element)) return SceneLoader.instances.get(element);
+
+    const name = element.dataset.scene;
+    const Scene = SceneLoader.resolve(name);
+    if (!Scene) {
+      console.warn(`SceneLoader: unknown scene "${name}"`);
+      return null;
+    }
+
+    const scene = new Scene(element, { ...SceneLoader.defaults, ...SceneLoader.readOptions(element) });
+
+    // Starts NeuralNetwork and DataCube; other scenes started themselves in
+    // their constructor and report their own failures
+    if (!scene.ready) scene.init().catch(error => console.warn(error));
+
+    SceneLoader.instances.set(element, scene);
+    return scene;
+  }
+
+  // Stop tracking a scene without destroying it; the caller owns it now
+  static release(element) {
+    const scene = SceneLoader.instances.get(element);
+    SceneLoader.instances.delete(element);
+    return scene || null;
+  }
+
+  static unmount(element) {
+    const scene = SceneLoader.instances.get(element);
+    if (!scene) return;
+    scene.destroy();
+    SceneLoader.instances.delete(element);
+  }
+
+  static scan(root = document) {
+    if (root.matches && root.matches('[data-scene]')) SceneLoader.mount(root);
+    root.querySelectorAll('[data-scene]').forEach(element => SceneLoader.mount(element));
+  }
+
+  static start() {
+    SceneLoader.scan();
+
+    SceneLoader.observer = new MutationObserver(mutations => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE) SceneLoader.scan(node);
+        });
+      });
+
+      // Anything mounted but no longer in the document has been removed
+      SceneLoader.instances.forEach((scene, element) => {
+        if (!element.isConnected) SceneLoader.unmount(element);
+      });
+    });
+    SceneLoader.observer.observe(document.body, { childList: true, subtree: true });
+  }
+}
+
+SceneLoader.instances = new Map();
+// Options applied to every mounted scene; data-scene-* attributes win
+SceneLoader.defaults = {};
+
+window.SceneLoader = SceneLoader;
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', SceneLoader.start);
+} else {
+  SceneLoader.start();
+}
@@ -0,0 +1,193 @@
+/**
+ * Supply Chain Sim - a day-by-day inventory simulation for the RL Supply
+ * Chain demo
+ *
+ *   const sim = new SupplyChainSim(network, { policy: 'rl', demand: 1.2 });
+ *   while (!sim.done) sim.step();
+ *   sim.totalCost, sim.costs, sim.shipments
+ *
+ * The network (data/supply-chain/network.json) is a multi-echelon graph: a
+ * supplier with unlimited stock feeds warehouses that feed stores. Each day:
+ * shipments that are due arrive, stores meet what they can of a random
+ * demand (lost sales cost "stockout" per unit), every stocked node orders
+ * from its upstream according to the policy and the upstream ships what it
+ * has, then stock is charged its holding cost. Demand spikes start with
+ * probability "spikes.chance" a day and multiply demand for a few days.
+ *
+ * Policies:
+ *   baseline  reorder point: when stock plus stock in transit falls to
+ *             "reorder", order up to "upTo"
+ *   rl        recorded actions of a trained agent, as a table per node:
+ *             actions[trend][bin], where trend is the day's demand against
+ *             the node's usual demand (below trend[0], between, above
+ *             trend[1]) and bin counts the "bins" edges at or below stock
+ *             plus stock in transit
+ *
+ * Randomness comes from a seeded generator used only for demand, so every
+ * policy sees the same days for the same seed, demand and spike settings.
+ */
+class SupplyChainSim {
+  constructor(network, { seed = network.seed, demand = 1, spikes, policy = 'baseline' } = {}) {
+    this.network = network;
+    this.seed = seed;
+    this.demandScale = demand;
+    this.spikeChance = spikes !== undefined ? spikes : (network.spikes || {}).chance || 0;
+    this.policy = policy;
+    this.reset();
+  }
+
+  // mulberry32: small, fast and the same in every browser
+  static random(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Poisson by multiplying uniforms; a normal approximation for big means
+  static poisson(random, mean) {
+    if (mean <= 0) return 0;
+    if (mean > 30) {
+      const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+      return Math.max(0, Math.round(mean + Math.sqrt(mean) * normal));
+    }
+    const limit = Math.exp(-mean);
+    let count = 0;
+    let product = random();
+    while (product > limit) {
+      count++;
+      product *= random();
+    }
+    return count;
+  }
+
+  reset() {
+    this.random = SupplyChainSim.random(this.seed);
+    this.day = 0;
+    this.horizon = this.network.horizon || 90;
+    this.spikeDays = 0;
+    this.totalCost = 0;
+    this.costs = [];
+    this.stockouts = 0;
+    this.shipments = [];
+
+    this.nodes = new Map(this.network.nodes.map(node => [node.id, {
+      ...node,
+      stock: node.role === 'supplier' ? Infinity : node.stock || 0,
+      demanded: 0,
+      lost: 0
+    }]));
+    // Each node's supplying edge
+    this.upstream = new Map(this.network.edges.map(edge => [edge.to, edge]));
+  }
+
+  get done() {
+    return this.day >= this.horizon;
+  }
+
+  step() {
+    if (this.done) return;
+    this.day++;
+    const { costs = {}, spikes = {} } = this.network;
+    let cost = 0;
+
+    this.shipments.forEach(shipment => {
+      if (shipment.arrive === this.day) this.nodes.get(shipment.to).stock += shipment.quantity;
+    });
+    this.shipments = this.shipments.filter(shipment => shipment.arrive >= this.day);
+
+    // Demand: the spike draw comes first so every policy sees the same days
+    if (this.spikeDays > 0) {
+      this.spikeDays--;
+    } else if (this.random() < this.spikeChance) {
+      this.spikeDays = spikes.days || 3;
+    }
+    const spike = this.spikeDays > 0 ? spikes.factor || 2 : 1;
+
+    let stockedOut = false;
+    this.nodes.forEach(node => {
+      node.demanded = 0;
+      node.lost = 0;
+    });
+    this.nodes.forEach(node => {
+      if (!node.demand) return;
+      const demand = SupplyChainSim.poisson(this.random, node.demand * this.demandScale * spike);
+      const sold = Math.min(node.stock, demand);
+      node.stock -= sold;
+      node.demanded = demand;
+      node.lost = demand - sold;
+      cost += node.lost * (costs.stockout || 0);
+      if (node.lost > 0) stockedOut = true;
+    });
+    if (stockedOut) this.stockouts++;
+
+    // Downstream nodes order first, so a warehouse sees the day's orders
+    [...this.nodes.values()].reverse().forEach(node => {
+      const edge = this.upstream.get(node.id);
+      if (!edge) return;
+
+      const quantity = Math.max(0, Math.round(this.order(node)));
+      if (quantity === 0) return;
+      const source = this.nodes.get(edge.from);
+      source.demanded += quantity;
+      const shipped = Math.min(source.stock, quantity);
+      if (shipped === 0) return;
+
+      source.stock -= shipped;
+      this.shipments.push({
+        from: edge.from,
+        to: node.id,
+        quantity: shipped,
+        depart: this.day,
+        arrive: this.day + (edge.leadTime || 1)
+      });
+      cost += edge.shipping || 0;
+    });
+
+    this.nodes.forEach(node => {
+      if (node.role !== 'supplier') cost += node.stock * (node.holding || 0);
+    });
+
+    this.totalCost += cost;
+    this.costs.push(this.totalCost);
+  }
+
+  // Stock on hand plus stock on its way
+  position(node) {
+    return this.shipments.reduce((sum, shipment) => (
+      shipment.to === node.id && shipment.arrive > this.day ? sum + shipment.quantity : sum
+    ), node.stock);
+  }
+
+  order(node) {
+    const settings = ((this.network.policies[this.policy] || {}).nodes || {})[node.id];
+    if (!settings) return 0;
+    const position = this.position(node);
+
+    if (this.policy === 'baseline') {
+      return position <= settings.reorder ? settings.upTo - position : 0;
+    }
+
+    const [low, high] = this.network.policies[this.policy].trend || [0.8, 1.25];
+    const usual = this.usualDemand(node);
+    const ratio = usual > 0 ? node.demanded / usual : 1;
+    const trend = ratio < low ? 0 : ratio > high ? 2 : 1;
+    const bin = settings.bins.filter(edge => edge <= position).length;
+    return settings.actions[trend][bin];
+  }
+
+  // Expected daily demand on a node at nominal demand: its own, or what the
+  // nodes it supplies usually need
+  usualDemand(node) {
+    if (node.demand) return node.demand;
+    return this.network.edges
+      .filter(edge => edge.from === node.id)
+      .reduce((sum, edge) => sum + this.usualDemand(this.nodes.get(edge.to)), 0);
+  }
+}
+
+window.SupplyChainSim = SupplyChainSim;
@@ -0,0 +1,67 @@
+/**
+ * Theme Preference - light/dark color theme
+ * Follows prefers-color-scheme (live) until the visitor uses a theme toggle;
+ * that choice is remembered. The theme is set as data-theme on <html>, where
+ * style.css swaps its custom properties. Scenes listen for 'themechange'.
+ *
+ * Loaded in <head> so data-theme is set before first paint and pages don't
+ * flash the wrong theme.
+ */
+class ThemePreference {
+  static current() {
+    const choice = ThemePreference.storedChoice();
+    if (choice) return choice;
+    return ThemePreference.query && ThemePreference.query.matches ? 'dark' : 'light';
+  }
+
+  static isDark() {
+    return ThemePreference.current() === 'dark';
+  }
+
+  static set(theme) {
+    try {
+      localStorage.setItem(ThemePreference.storageKey, theme);
+    } catch (error) {
+      // Storage can be disabled; the choice then lasts for this page only
+      ThemePreference.choice = theme;
+    }
+    ThemePreference.notify();
+  }
+
+  static toggle() {
+    ThemePreference.set(ThemePreference.isDark() ? 'light' : 'dark');
+  }
+
+  static storedChoice() {
+    try {
+      return localStorage.getItem(ThemePreference.storageKey) || ThemePreference.choice;
+    } catch (error) {
+      return ThemePreference.choice;
+    }
+  }
+
+  static apply() {
+    document.documentElement.dataset.theme = ThemePreference.current();
+  }
+
+  static notify() {
+    ThemePreference.apply();
+    document.dispatchEvent(new CustomEvent('themechange', {
+      detail: { theme: ThemePreference.current() }
+    }));
+  }
+}
+
+ThemePreference.storageKey = 'theme';
+ThemePreference.choice = null;
+ThemePreference.query = window.matchMedia
+  ? window.matchMedia('(prefers-color-scheme: dark)')
+  : null;
+
+if (ThemePreference.query && ThemePreference.query.addEventListener) {
+  ThemePreference.query.addEventListener('change', ThemePreference.notify);
+}
+
+ThemePreference.apply();
+
+window.ThemePreference = ThemePreference;
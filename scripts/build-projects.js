@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * Project build - regenerates everything derived from data/projects.json
+ *
+ *   node scripts/build-projects.js          write the generated files
+ *   node scripts/build-projects.js --check  exit 1 if any are out of date
+ *
+ * Writes projects/<slug>.html from templates/project.html (metric values come
+ * from data/metrics/<slug>.json, also read live by js/metrics.js), the card grid and
+ * DataCube links in portfolio.html, the /projects/* routes in
+ * staticwebapp.config.json and the project list in README.md. In
+ * portfolio.html and README.md only the text between the generated markers
+ * is replaced. No dependencies; run it after editing the data file.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(root, file), 'utf8');
+
+const REQUIRED = ['slug', 'name', 'theme', 'scene', 'description', 'summary', 'readme',
+  'stack', 'tagline', 'tags', 'github', 'sections'];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function indent(depth) {
+  return ' '.repeat(depth * 4);
+}
+
+// Break long text onto continuation lines, as the hand-written pages did
+function wrap(text, depth, width = 100) {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).forEach(word => {
+    if (line && indent(depth).length + line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  lines.push(line);
+  return lines.join(`\n${indent(depth + 1)}`);
+}
+
+function readMetrics(slug) {
+  const file = `data/metrics/${slug}.json`;
+  if (!fs.existsSync(path.join(root, file))) throw new Error(`${slug}: missing ${file}`);
+
+  const { metrics } = JSON.parse(read(file));
+  (metrics || []).forEach((metric, i) => {
+    if (!metric.key || !metric.label || !Array.isArray(metric.samples) || metric.samples.length === 0) {
+      throw new Error(`${file}: metrics[${i}] needs a key, a label and at least one sample`);
+    }
+  });
+  return metrics || [];
+}
+
+// The sample with the latest time; js/metrics.js picks the same one
+function latest(metric) {
+  return metric.samples.reduce((last, sample) => (Date.parse(sample.time) > Date.parse(last.time) ? sample : last));
+}
+
+// Same format as ProjectMetrics.format() in js/metrics.js
+function formatMetric(metric, value) {
+  if (typeof value !== 'number') return String(value);
+  return `${metric.prefix || ''}${value.toFixed(metric.decimals || 0)}${metric.suffix || ''}`;
+}
+
+function validate(projects) {
+  // Scene names must be exported in window.ProjectAnimations
+  const source = read('js/project-animations.js');
+  const exported = source.match(/window\.ProjectAnimations = \{([^}]*)\}/);
+  const scenes = exported ? exported[1].split(',').map(name => name.trim()).filter(Boolean) : [];
+  const slugs = new Set();
+
+  projects.forEach((project, i) => {
+    const missing = REQUIRED.filter(field => project[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`projects[${i}]: missing ${missing.join(', ')}`);
+    }
+    if (!/^[a-z0-9-]+$/.test(project.slug)) {
+      throw new Error(`projects[${i}]: slug "${project.slug}" must be lowercase words joined by hyphens`);
+    }
+    if (slugs.has(project.slug)) {
+      throw new Error(`projects[${i}]: duplicate slug "${project.slug}"`);
+    }
+    if (!scenes.includes(project.scene)) {
+      throw new Error(`${project.slug}: scene "${project.scene}" is not in window.ProjectAnimations`);
+    }
+    slugs.add(project.slug);
+  });
+}
+
+function projectPage(project, metrics, template) {
+  const tags = project.tags
+    .map(tag => `${indent(5)}<span>${escapeHtml(tag)}</span>`)
+    .join('\n');
+
+  // Scene-only metrics (panel: false) stay out of the page
+  const items = metrics.filter(metric => metric.panel !== false).map(metric => [
+    `${indent(5)}<div class="metric-item" data-metric="${escapeHtml(metric.key)}">`,
+    `${indent(6)}<span class="metric-num">${escapeHtml(formatMetric(metric, latest(metric).value))}</span>`,
+    `${indent(6)}<span class="metric-label">${escapeHtml(metric.label)}</span>`,
+    `${indent(5)}</div>`
+  ].join('\n')).join('\n');
+
+  const sections = project.sections.map(section => [
+    `${indent(4)}<section class="detail-card">`,
+    `${indent(5)}<h2>${escapeHtml(section.title)}</h2>`,
+    `${indent(5)}<p>${wrap(escapeHtml(section.text), 5)}</p>`,
+    `${indent(4)}</section>`
+  ].join('\n')).join('\n\n');
+
+  const values = {
+    slug: project.slug,
+    name: escapeHtml(project.name),
+    description: escapeHtml(project.description),
+    theme: escapeHtml(project.theme),
+    tagline: escapeHtml(project.tagline),
+    github: escapeHtml(project.github),
+    scene: escapeHtml(project.scene),
+    tags,
+    metrics: items,
+    sections
+  };
+
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    if (!(key in values)) throw new Error(`templates/project.html: unknown placeholder ${match}`);
+    return values[key];
+  });
+}
+
+function portfolioGrid(projects) {
+  const cards = projects.map(project => [
+    `${indent(4)}<a href="projects/${project.slug}.html" class="project-card-compact">`,
+    `${indent(5)}<div class="card-visual theme-${escapeHtml(project.theme)}" data-scene="${escapeHtml(project.scene)}" data-scene-shared="true"></div>`,
+    `${indent(5)}<h3>${escapeHtml(project.name)}</h3>`,
+    `${indent(5)}<p>${escapeHtml(project.summary)}</p>`,
+    `${indent(5)}<span class="tech-stack">${project.stack.map(escapeHtml).join(' • ')}</span>`,
+    `${indent(4)}</a>`
+  ].join('\n'));
+
+  return cards.join('\n\n');
+}
+
+// DataCube colors its cubes from the theme palette in order, so links are
+// listed by each project's `cube` slot
+function portfolioCube(projects) {
+  const links = projects
+    .filter(project => project.cube !== undefined)
+    .sort((a, b) => a.cube - b.cube)
+    .map(project => {
+      const href = JSON.stringify(`projects/${project.slug}.html`);
+      const label = JSON.stringify(project.name);
+      // Inside a single-quoted attribute only & and ' need escaping
+      const link = `{"href": ${href}, "label": ${label}}`.replace(/&/g, '&amp;').replace(/'/g, '&#39;');
+      return `${indent(5)}${link}`;
+    });
+
+  return [
+    `${indent(4)}<div class="portfolio-canvas" data-scene="DataCube" data-scene-shared="true" data-scene-links='[`,
+    links.join(',\n'),
+    `${indent(4)}]'></div>`
+  ].join('\n');
+}
+
+function readmeList(projects) {
+  return [
+    `Personal portfolio website showcasing ${projects.length} production-ready AI projects for the Energy Corridor:`,
+    '',
+    ...projects.map(project => `- **${project.name}** - ${project.readme}`)
+  ].join('\n');
+}
+
+// Replace the text between `<!-- name -->` and `<!-- /name -->`
+function fill(text, file, name, content) {
+  const start = `<!-- ${name} -->`;
+  const end = `<!-- /${name} -->`;
+  const from = text.indexOf(start);
+  const to = text.indexOf(end);
+  if (from === -1 || to === -1 || to < from) {
+    throw new Error(`${file}: missing ${start} ... ${end} markers`);
+  }
+  const lineStart = text.lastIndexOf('\n', to) + 1;
+  return `${text.slice(0, from + start.length)}\n${content}\n${text.slice(lineStart)}`;
+}
+
+function routes(config, projects) {
+  const kept = config.routes.filter(route => !route.route.startsWith('/projects/'));
+  const generated = projects.map(project => ({
+    route: `/projects/${project.slug}`,
+    rewrite: `/projects/${project.slug}.html`
+  }));
+  const next = { ...config, routes: [...kept, ...generated] };
+
+  // Keep short arrays such as navigationFallback.exclude on one line
+  return `${JSON.stringify(next, null, 2)
+    .replace(/\[\n\s+((?:"[^"\n]*",\n\s+)*"[^"\n]*")\n\s+\]/g,
+      (match, items) => `[${items.split(/,\n\s+/).join(', ')}]`)}\n`;
+}
+
+function build() {
+  const projects = JSON.parse(read('data/projects.json'));
+  validate(projects);
+
+  const outputs = new Map();
+  const template = read('templates/project.html');
+  projects.forEach(project => {
+    outputs.set(`projects/${project.slug}.html`, projectPage(project, readMetrics(project.slug), template));
+  });
+
+  let portfolio = read('portfolio.html');
+  portfolio = fill(portfolio, 'portfolio.html', 'projects:cube', portfolioCube(projects));
+  portfolio = fill(portfolio, 'portfolio.html', 'projects:grid', portfolioGrid(projects));
+  outputs.set('portfolio.html', portfolio);
+
+  outputs.set('staticwebapp.config.json', routes(JSON.parse(read('staticwebapp.config.json')), projects));
+  outputs.set('README.md', fill(read('README.md'), 'README.md', 'projects:list', readmeList(projects)));
+
+  return outputs;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const stale = [];
+
+  build().forEach((content, file) => {
+    const target = path.join(root, file);
+    const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+    if (current === content) return;
+    stale.push(file);
+    if (!check) fs.writeFileSync(target, content);
+  });
+
+  // Pages are never deleted automatically; a removed project leaves its file
+  const slugs = new Set(JSON.parse(read('data/projects.json')).map(project => project.slug));
+  fs.readdirSync(path.join(root, 'projects'))
+    .filter(file => file.endsWith('.html') && !slugs.has(file.slice(0, -5)))
+    .forEach(file => console.warn(`projects/${file} has no entry in data/projects.json`));
+
+  if (check && stale.length > 0) {
+    console.error(`Out of date (run node scripts/build-projects.js):\n  ${stale.join('\n  ')}`);
+    process.exit(1);
+  }
+  console.log(stale.length > 0 ? `Updated ${stale.join(', ')}` : 'Project files are up to date');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}